@@ -1,9 +1,18 @@
 import { SimpleChart } from './chart-simple.js';
-import { DataSetManager } from './dataLoader.js';
-import { AXIS_PRESETS } from './axisMapping.js';
+import { DataSetManager, TABLE_QUANTITIES, TABLE_UNITS } from './dataLoader.js';
+import { PERFORMANCE_METRICS } from './metrics.js';
+import { POLAR_MODELS } from './polarModels.js';
+import { PARAMETRIC_POLAR_FIELDS } from './parametricPolar.js';
+import { DATASET_TRANSFORMS, checkTransforms, describeTransforms, describeRejectedTransforms } from './datasetTransforms.js';
+import { AXIS_QUANTITIES } from './axisMapping.js';
+import { airDensity, feetToMeters } from './atmosphere.js';
+import { GRID_FAMILIES, GRID_FIELDS, GLIDE_QUADRANTS } from './gridSettings.js';
+import { mpsToUnit, unitToMps, SPEED_UNITS } from './utilities.js';
+import { VIEWS, coeffViewFor } from './views.js';
 
 // Application state
 let chart;
+let companionChart = null; // Coefficient view beside the main chart in split screen, created on first use
 let coeffType = 'c'; // 'k' or 'c' - default to C coefficients
 let datasetManager;
 
@@ -19,6 +28,18 @@ function initializeChart() {
     const canvas = document.getElementById('chartCanvas');
     chart = new SimpleChart(canvas);
     
+    // Start from the global parameter values shown in the controls
+    const rhoValue = parseFloat(document.getElementById('rhoInput')?.value);
+    const sValue = parseFloat(document.getElementById('sInput')?.value);
+    const mValue = parseFloat(document.getElementById('mInput')?.value);
+    if (rhoValue > 0 && sValue > 0 && mValue > 0) {
+        chart.rho = rhoValue;
+        chart.s = sValue;
+        chart.m = mValue;
+        chart.generateGrid();
+        chart.render();
+    }
+    
     // Initialize dataset manager
     datasetManager = new DataSetManager();
     chart.datasetManager = datasetManager;
@@ -28,24 +49,23 @@ function initializeChart() {
  * Setup all UI controls
  */
 function setupControls() {
-    // Main axis toggle
-    const mainAxisToggle = document.getElementById('mainAxisToggle');
-    
-    if (mainAxisToggle) {
-        mainAxisToggle.addEventListener('click', () => {
-            if (chart && chart.switchCoordinateSystem) {
-                const targetView = chart.currentView === 'speed' ? 'coeff' : 'speed';
-                
-                // Update button text for target view
-                if (targetView === 'coeff') {
-                    mainAxisToggle.textContent = 'Switch to Speed View';
-                    document.getElementById('viewMode').textContent = 'Coefficients View';
-                } else {
-                    mainAxisToggle.textContent = 'Switch to Coefficients View';
-                    document.getElementById('viewMode').textContent = 'Speed View';
-                }
-                
-                chart.switchCoordinateSystem();
+    // View picker (selection and status follow the chart through syncAnimationControls)
+    const viewPicker = document.getElementById('viewPicker');
+    
+    if (viewPicker) {
+        viewPicker.addEventListener('change', (e) => {
+            if (chart) {
+                chart.animateTransition(e.target.value);
+            }
+        });
+    }
+    
+    // Split screen with a linked coefficient view
+    const splitScreenToggle = document.getElementById('splitScreen');
+    if (splitScreenToggle) {
+        splitScreenToggle.addEventListener('change', (e) => {
+            if (chart) {
+                setSplitScreen(e.target.checked);
             }
         });
     }
@@ -56,12 +76,13 @@ function setupControls() {
         resetBtn.addEventListener('click', () => {
             if (chart && chart.reset) {
                 chart.reset();
-                mainAxisToggle.textContent = 'Switch to Coefficients View';
-                document.getElementById('viewMode').textContent = 'Speed View';
             }
         });
     }
     
+    // Timeline scrubber, play/pause, reverse, duration and easing
+    setupAnimationControls();
+    
     // Toggle grid button
     const toggleGridBtn = document.getElementById('toggleGrid');
     if (toggleGridBtn) {
@@ -72,33 +93,30 @@ function setupControls() {
         });
     }
     
-    // Coefficient type toggle
+    // Speed unit select (display only, datasets are stored in m/s)
+    const speedUnitSelect = document.getElementById('speedUnit');
+    if (speedUnitSelect) {
+        speedUnitSelect.addEventListener('change', (e) => {
+            if (chart) {
+                chart.setSpeedUnit(e.target.value);
+                syncGridSettingsInputs();
+                syncWindInputs();
+                syncDatasetMetrics();
+            }
+        });
+    }
+    
+    // Coefficient type toggle (swaps the coefficient view in the morph)
     const coeffTypeRadios = document.querySelectorAll('input[name="coeffType"]');
-    const scalingInputs = document.getElementById('scalingInputs');
-    const coeffModeDisplay = document.getElementById('coeffMode');
     
     coeffTypeRadios.forEach(radio => {
         radio.addEventListener('change', (e) => {
             coeffType = e.target.value;
-            
-            // Update coefficient mode display
-            if (coeffModeDisplay) {
-                coeffModeDisplay.textContent = coeffType === 'k' ? 'K-coefficients' : 'C-coefficients';
-            }
-            
-            // Show/hide scaling inputs based on coefficient type
-            if (scalingInputs) {
-                if (coeffType === 'c') {
-                    scalingInputs.style.display = 'flex';
-                } else {
-                    scalingInputs.style.display = 'none';
-                }
-            }
+            updateCoeffTypeControls();
             
             // Update chart coefficient type
             if (chart) {
-                chart.coeffType = coeffType;
-                chart.render();
+                chart.setCoeffType(coeffType);
             }
         });
     });
@@ -110,28 +128,27 @@ function setupControls() {
     
     if (rhoInput) {
         rhoInput.addEventListener('change', (e) => {
-            const value = parseFloat(e.target.value);
-            if (chart && !isNaN(value) && value > 0) {
-                chart.rho = value;
-                chart.generateGrid();
-                // Regenerate dataset speed data with new parameters
-                if (datasetManager) {
-                    datasetManager.regenerateAllSpeedData(value, chart.s, chart.m);
-                }
-                chart.render();
-            }
+            setGlobalRho(parseFloat(e.target.value));
         });
     }
     
+    // Air density from a standard atmosphere
+    setupAtmosphereControls();
+    
+    // Headwind and vertical air motion
+    setupWindControls();
+    
     if (sInput) {
         sInput.addEventListener('change', (e) => {
             const value = parseFloat(e.target.value);
             if (chart && !isNaN(value) && value > 0) {
                 chart.s = value;
                 chart.generateGrid();
-                // Regenerate dataset speed data with new parameters
+                // Regenerate speed data for datasets locked to the global parameters
                 if (datasetManager) {
                     datasetManager.regenerateAllSpeedData(chart.rho, value, chart.m);
+                    syncDatasetParamInputs();
+                    syncDatasetMetrics();
                 }
                 chart.render();
             }
@@ -144,9 +161,11 @@ function setupControls() {
             if (chart && !isNaN(value) && value > 0) {
                 chart.m = value;
                 chart.generateGrid();
-                // Regenerate dataset speed data with new parameters
+                // Regenerate speed data for datasets locked to the global parameters
                 if (datasetManager) {
                     datasetManager.regenerateAllSpeedData(chart.rho, chart.s, value);
+                    syncDatasetParamInputs();
+                    syncDatasetMetrics();
                 }
                 chart.render();
             }
@@ -159,9 +178,10 @@ function setupControls() {
         dragColor: 'drag',
         horizontalColor: 'horizontal',
         verticalColor: 'vertical',
-        glide1Color: 'glide1',
-        glide2Color: 'glide2',
-        glide3Color: 'glide3',
+        totalSpeedColor: 'totalSpeed',
+        glideAngleColor: 'glideAngle',
+        ldRatioColor: 'ldRatio',
+        resultantColor: 'resultant',
         backgroundColor: 'background',
         legendColor: 'legend'
     };
@@ -188,7 +208,17 @@ function setupControls() {
         showInnerCoeffLabels: 'showInnerCoeffLabels',
         showOuterCoeffLabels: 'showOuterCoeffLabels',
         showSpeedLabels: 'showSpeedLabels',
-        showGlideLabels: 'showGlideLabels'
+        showGlideLabels: 'showGlideLabels',
+        showAoaLabels: 'showAoaLabels',
+        showPerformance: 'showPerformance',
+        showTotalSpeed: 'showTotalSpeed',
+        showGlideAngle: 'showGlideAngle',
+        showLdRatio: 'showLdRatio',
+        showResultant: 'showResultant',
+        showTotalSpeedLabels: 'showTotalSpeedLabels',
+        showGlideAngleLabels: 'showGlideAngleLabels',
+        showLdRatioLabels: 'showLdRatioLabels',
+        showResultantLabels: 'showResultantLabels'
     };
     
     Object.entries(visibilityCheckboxes).forEach(([checkboxId, visibilityKey]) => {
@@ -215,26 +245,635 @@ function setupControls() {
     
     // Axis preset dropdown handler
     const axisPresetSelect = document.getElementById('axisPreset');
-    const axisInfoDiv = document.getElementById('axisInfo');
     
     if (axisPresetSelect) {
         axisPresetSelect.addEventListener('change', (e) => {
             const presetName = e.target.value;
             if (chart && chart.setAxisPreset) {
                 chart.setAxisPreset(presetName);
-                
-                // Update info text
-                if (axisInfoDiv && AXIS_PRESETS[presetName]) {
-                    axisInfoDiv.innerHTML = `<small>${AXIS_PRESETS[presetName].description}</small>`;
-                }
+                syncAxisEditorInputs();
             }
         });
     }
     
+    // Custom axis mapping editor
+    setupAxisEditor();
+    
+    // Grid range and spacing panel
+    setupGridSettingsControls();
+    
+    // Glide ratio line editor
+    setupGlideLineControls();
+    
     // Data file upload handlers
     setupDataFileUpload();
 }
 
+// Rows of the axis mapping editor
+const AXIS_EDITOR_ROWS = [
+    { chartKey: 'speedChart', axis: 'xAxis', label: 'Speed X' },
+    { chartKey: 'speedChart', axis: 'yAxis', label: 'Speed Y' },
+    { chartKey: 'coeffChart', axis: 'xAxis', label: 'Coeff X' },
+    { chartKey: 'coeffChart', axis: 'yAxis', label: 'Coeff Y' }
+];
+
+/**
+ * Setup the axis mapping editor: quantity, reversal, label and description per chart axis,
+ * previewed live on the chart, plus saving and deleting named presets
+ */
+function setupAxisEditor() {
+    const rows = document.getElementById('axisEditorRows');
+    const nameInput = document.getElementById('axisPresetName');
+    const saveBtn = document.getElementById('saveAxisPreset');
+    const deleteBtn = document.getElementById('deleteAxisPreset');
+    if (!rows || !chart) return;
+    
+    AXIS_EDITOR_ROWS.forEach(({ chartKey, axis, label }) => {
+        const row = document.createElement('tr');
+        row.dataset.chart = chartKey;
+        row.dataset.axis = axis;
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = label;
+        row.appendChild(nameCell);
+        
+        // Quantity
+        const quantitySelect = document.createElement('select');
+        quantitySelect.dataset.field = 'value';
+        Object.entries(AXIS_QUANTITIES[chartKey]).forEach(([value, quantity]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = quantity.label;
+            quantitySelect.appendChild(option);
+        });
+        
+        // Reversal
+        const reversedCheckbox = document.createElement('input');
+        reversedCheckbox.type = 'checkbox';
+        reversedCheckbox.dataset.field = 'reversed';
+        
+        // Label and description text
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.dataset.field = 'label';
+        const descriptionInput = document.createElement('input');
+        descriptionInput.type = 'text';
+        descriptionInput.dataset.field = 'description';
+        
+        // A new quantity brings its own label and description
+        quantitySelect.addEventListener('change', (e) => {
+            const quantity = AXIS_QUANTITIES[chartKey][e.target.value];
+            labelInput.value = quantity.label;
+            descriptionInput.value = quantity.description;
+        });
+        
+        [quantitySelect, reversedCheckbox, labelInput, descriptionInput].forEach(input => {
+            input.addEventListener('change', applyAxisEditor);
+            const cell = document.createElement('td');
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+        
+        rows.appendChild(row);
+    });
+    
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            const name = nameInput ? nameInput.value : '';
+            try {
+                chart.axisMapping.saveCustomPreset(name);
+                refreshCustomAxisPresets();
+                syncAxisEditorInputs();
+            } catch (error) {
+                showAxisEditorError(error.message);
+            }
+        });
+    }
+    
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            const presetName = chart.getAxisPreset();
+            try {
+                if (!chart.axisMapping.deleteCustomPreset(presetName)) {
+                    showAxisEditorError('Select a saved custom preset to delete');
+                    return;
+                }
+            } catch (error) {
+                showAxisEditorError(error.message);
+                return;
+            }
+            refreshCustomAxisPresets();
+            syncAxisEditorInputs();
+        });
+    }
+    
+    refreshCustomAxisPresets();
+    syncAxisEditorInputs();
+}
+
+/**
+ * Read the editor rows and apply them to the chart, or show why they can't be used
+ */
+function applyAxisEditor() {
+    const config = { name: 'Custom', speedChart: {}, coeffChart: {} };
+    document.querySelectorAll('#axisEditorRows tr').forEach(row => {
+        const axisConfig = {};
+        row.querySelectorAll('[data-field]').forEach(input => {
+            axisConfig[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value.trim();
+        });
+        config[row.dataset.chart][row.dataset.axis] = axisConfig;
+    });
+    
+    try {
+        chart.setAxisConfig(config);
+        syncAxisEditorInputs();
+    } catch (error) {
+        // Keep the last good mapping on the chart until the editor is fixed
+        showAxisEditorError(error.message);
+    }
+}
+
+/**
+ * Refresh the editor, preset select and info text from the chart's current mapping
+ */
+function syncAxisEditorInputs() {
+    if (!chart) return;
+    const config = chart.getAxisConfig();
+    
+    document.querySelectorAll('#axisEditorRows tr').forEach(row => {
+        const axisConfig = config[row.dataset.chart][row.dataset.axis];
+        row.querySelectorAll('[data-field]').forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = axisConfig[input.dataset.field];
+            } else {
+                input.value = axisConfig[input.dataset.field];
+            }
+        });
+    });
+    
+    const axisPresetSelect = document.getElementById('axisPreset');
+    if (axisPresetSelect) {
+        // Unsaved edits match no option
+        axisPresetSelect.value = chart.getAxisPreset();
+    }
+    
+    const axisInfoDiv = document.getElementById('axisInfo');
+    if (axisInfoDiv) {
+        // Custom descriptions hold the user's axis labels, so they go in as text
+        const description = document.createElement('small');
+        description.textContent = config.description;
+        axisInfoDiv.replaceChildren(description);
+    }
+    
+    showAxisEditorError('');
+}
+
+/**
+ * Rebuild the custom options of the axis preset select from saved presets
+ */
+function refreshCustomAxisPresets() {
+    const group = document.getElementById('customAxisPresets');
+    if (!group) return;
+    
+    group.innerHTML = '';
+    Object.entries(chart.axisMapping.getCustomPresets()).forEach(([presetName, preset]) => {
+        const option = document.createElement('option');
+        option.value = presetName;
+        option.textContent = preset.name;
+        group.appendChild(option);
+    });
+}
+
+function showAxisEditorError(message) {
+    const errorDiv = document.getElementById('axisEditorError');
+    if (errorDiv) {
+        errorDiv.textContent = message;
+    }
+}
+
+/**
+ * Setup the animation timeline controls and keep them in step with the chart
+ */
+function setupAnimationControls() {
+    if (!chart) return;
+    const slider = document.getElementById('morphSlider');
+    const playPauseBtn = document.getElementById('playPause');
+    const reverseBtn = document.getElementById('reverseAnimation');
+    const durationInput = document.getElementById('animationDuration');
+    const easingSelect = document.getElementById('easingSelect');
+    
+    if (slider) {
+        slider.addEventListener('input', (e) => {
+            chart.setAnimationProgress(parseFloat(e.target.value) / 1000);
+        });
+    }
+    
+    if (playPauseBtn) {
+        playPauseBtn.addEventListener('click', () => chart.togglePlayback());
+    }
+    
+    if (reverseBtn) {
+        reverseBtn.addEventListener('click', () => chart.reverse());
+    }
+    
+    if (durationInput) {
+        durationInput.addEventListener('change', (e) => {
+            const seconds = parseFloat(e.target.value);
+            chart.setAnimationDuration(seconds * 1000);
+            // Show the duration actually in use if the input was rejected
+            e.target.value = chart.animationDuration / 1000;
+        });
+    }
+    
+    if (easingSelect) {
+        easingSelect.addEventListener('change', (e) => chart.setEasing(e.target.value));
+    }
+    
+    const morphModeSelect = document.getElementById('morphMode');
+    if (morphModeSelect) {
+        morphModeSelect.addEventListener('change', (e) => chart.setMorphMode(e.target.value));
+    }
+    
+    chart.onAnimationUpdate = syncAnimationControls;
+    syncAnimationControls();
+}
+
+/**
+ * Show the speed view beside a linked coefficient view, or the single morphing chart
+ * @param {boolean} enabled - Whether to split the screen
+ */
+function setSplitScreen(enabled) {
+    const container = document.getElementById('chartContainer');
+    const companionPane = document.getElementById('companionPane');
+    if (!container || !companionPane) return;
+    
+    container.classList.toggle('split', enabled);
+    companionPane.hidden = !enabled;
+    chart.resizeToContainer();
+    
+    if (enabled) {
+        // The pane has no size until shown, so the chart is created here
+        if (!companionChart) {
+            companionChart = new SimpleChart(document.getElementById('companionCanvas'));
+        }
+        chart.linkChart(companionChart);
+        companionChart.resizeToContainer();
+        companionChart.showView(coeffViewFor(chart.getCoeffType()));
+        chart.animateTransition('speed');
+    } else if (companionChart) {
+        chart.unlinkChart(companionChart);
+        chart.render();
+    }
+}
+
+/**
+ * Show the coefficient mode and the inputs that belong to the current coefficient type
+ */
+function updateCoeffTypeControls() {
+    const scalingInputs = document.getElementById('scalingInputs');
+    const coeffModeDisplay = document.getElementById('coeffMode');
+    
+    // Update coefficient mode display
+    if (coeffModeDisplay) {
+        coeffModeDisplay.textContent = coeffType === 'k' ? 'K-coefficients' : 'C-coefficients';
+    }
+    
+    // Show/hide scaling inputs based on coefficient type
+    if (scalingInputs) {
+        if (coeffType === 'c') {
+            scalingInputs.style.display = 'flex';
+        } else {
+            scalingInputs.style.display = 'none';
+        }
+    }
+    
+    // Altitude inputs belong to ρ, so they follow the scaling inputs
+    const atmosphereInputs = document.getElementById('atmosphereInputs');
+    const rhoMode = document.getElementById('rhoMode');
+    if (atmosphereInputs && rhoMode) {
+        const showAtmosphere = coeffType === 'c' && rhoMode.value === 'altitude';
+        atmosphereInputs.style.display = showAtmosphere ? 'flex' : 'none';
+    }
+}
+
+/**
+ * Refresh the slider, play/pause button, view picker and status text from the chart
+ */
+function syncAnimationControls() {
+    const progress = chart.animationProgress;
+    
+    const slider = document.getElementById('morphSlider');
+    if (slider) {
+        slider.value = Math.round(progress * 1000);
+    }
+    
+    const morphValue = document.getElementById('morphValue');
+    if (morphValue) {
+        morphValue.textContent = `${Math.round(progress * 100)}%`;
+    }
+    
+    const playPauseBtn = document.getElementById('playPause');
+    if (playPauseBtn) {
+        playPauseBtn.textContent = chart.isAnimating ? 'Pause' : 'Play';
+    }
+    
+    // Picker shows the view the chart is at or heading to
+    const viewPicker = document.getElementById('viewPicker');
+    if (viewPicker) {
+        viewPicker.value = chart.isAnimating
+            ? chart.pendingView || chart.animationTarget
+            : chart.currentView;
+    }
+    
+    // Status names the pair mid-morph, the view otherwise
+    const viewMode = document.getElementById('viewMode');
+    if (viewMode) {
+        viewMode.textContent = progress > 0 && progress < 1
+            ? `${VIEWS[chart.morphFrom].label} → ${VIEWS[chart.morphTo].label} (${Math.round(progress * 100)}% morph)`
+            : `${VIEWS[chart.currentView].label} View`;
+    }
+    
+    // Picking a coefficient view switches the coefficient type shown everywhere else
+    const chartCoeffType = chart.getCoeffType();
+    if (chartCoeffType !== coeffType) {
+        coeffType = chartCoeffType;
+        document.querySelectorAll('input[name="coeffType"]').forEach(radio => {
+            radio.checked = radio.value === coeffType;
+        });
+        updateCoeffTypeControls();
+    }
+}
+
+/**
+ * Setup the grid settings panel: one row of inputs per line family
+ */
+function setupGridSettingsControls() {
+    const rows = document.getElementById('gridSettingsRows');
+    const coeffRangeInput = document.getElementById('coeffRangeInput');
+    const resetBtn = document.getElementById('resetGridSettings');
+    if (!rows) return;
+    
+    Object.entries(GRID_FAMILIES).forEach(([family, { label }]) => {
+        const row = document.createElement('tr');
+        const nameCell = document.createElement('td');
+        nameCell.textContent = label;
+        row.appendChild(nameCell);
+        
+        GRID_FIELDS.forEach(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = 'any';
+            input.dataset.family = family;
+            input.dataset.field = field;
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (chart && !isNaN(value)) {
+                    chart.setGridSettings({ [family]: { [field]: value } });
+                }
+                // Show the value actually in use if the input was rejected
+                syncGridSettingsInputs();
+            });
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+        
+        rows.appendChild(row);
+    });
+    
+    if (coeffRangeInput) {
+        coeffRangeInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (chart && !isNaN(value)) {
+                chart.setGridSettings({ coeffRange: value });
+            }
+            syncGridSettingsInputs();
+        });
+    }
+    
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            if (chart) {
+                chart.resetGridSettings();
+                syncGridSettingsInputs();
+            }
+        });
+    }
+    
+    syncGridSettingsInputs();
+}
+
+/**
+ * Refresh the grid settings inputs from the chart
+ */
+function syncGridSettingsInputs() {
+    if (!chart) return;
+    const settings = chart.getGridSettings();
+    
+    document.querySelectorAll('#gridSettingsRows input').forEach(input => {
+        input.value = settings[input.dataset.family][input.dataset.field];
+    });
+    
+    const coeffRangeInput = document.getElementById('coeffRangeInput');
+    if (coeffRangeInput) {
+        coeffRangeInput.value = settings.coeffRange;
+    }
+}
+
+/**
+ * Setup the glide line editor with the chart's current lines
+ */
+function setupGlideLineControls() {
+    const addBtn = document.getElementById('addGlideLine');
+    if (!chart) return;
+    
+    chart.getGlideLines().forEach(addGlideLineControl);
+    
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const id = chart.addGlideLine({ ratio: 4, color: getRandomColor(), label: '', quadrants: [1] });
+            addGlideLineControl(chart.getGlideLines().find(line => line.id === id));
+        });
+    }
+}
+
+/**
+ * Add a row of inputs for one glide line: ratio, label, color, quadrants and remove
+ */
+function addGlideLineControl(glideLine) {
+    const list = document.getElementById('glideLineList');
+    if (!list) return;
+    
+    const item = document.createElement('div');
+    item.className = 'glide-line-item';
+    
+    // Ratio
+    const ratioLabel = document.createElement('label');
+    const ratioInput = document.createElement('input');
+    ratioInput.type = 'number';
+    ratioInput.min = '0.1';
+    ratioInput.step = '0.1';
+    ratioInput.value = glideLine.ratio;
+    ratioInput.addEventListener('change', (e) => {
+        const ratio = parseFloat(e.target.value);
+        chart.updateGlideLine(glideLine.id, { ratio });
+        // Show the ratio actually in use if the input was rejected
+        e.target.value = chart.getGlideLines().find(line => line.id === glideLine.id).ratio;
+    });
+    ratioLabel.appendChild(ratioInput);
+    ratioLabel.appendChild(document.createTextNode(':1'));
+    item.appendChild(ratioLabel);
+    
+    // Label (empty shows "ratio:1 glide")
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.placeholder = 'Label';
+    labelInput.value = glideLine.label;
+    labelInput.addEventListener('change', (e) => {
+        chart.updateGlideLine(glideLine.id, { label: e.target.value });
+    });
+    item.appendChild(labelInput);
+    
+    // Color
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = glideLine.color;
+    colorInput.addEventListener('change', (e) => {
+        chart.updateGlideLine(glideLine.id, { color: e.target.value });
+    });
+    item.appendChild(colorInput);
+    
+    // Quadrants
+    const quadrantCheckboxes = Object.entries(GLIDE_QUADRANTS).map(([quadrant, { label }]) => {
+        const quadrantLabel = document.createElement('label');
+        quadrantLabel.title = label;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = quadrant;
+        checkbox.checked = glideLine.quadrants.includes(Number(quadrant));
+        quadrantLabel.appendChild(checkbox);
+        quadrantLabel.appendChild(document.createTextNode(`Q${quadrant}`));
+        item.appendChild(quadrantLabel);
+        return checkbox;
+    });
+    quadrantCheckboxes.forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const quadrants = quadrantCheckboxes.filter(cb => cb.checked).map(cb => Number(cb.value));
+            chart.updateGlideLine(glideLine.id, { quadrants });
+        });
+    });
+    
+    // Remove button
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.className = 'dataset-remove';
+    removeBtn.addEventListener('click', () => {
+        chart.removeGlideLine(glideLine.id);
+        item.remove();
+    });
+    item.appendChild(removeBtn);
+    
+    list.appendChild(item);
+}
+
+/**
+ * Apply a new global air density to the grid and locked datasets
+ */
+function setGlobalRho(value) {
+    if (chart && !isNaN(value) && value > 0) {
+        chart.rho = value;
+        chart.generateGrid();
+        // Regenerate speed data for datasets locked to the global parameters
+        if (datasetManager) {
+            datasetManager.regenerateAllSpeedData(value, chart.s, chart.m);
+            syncDatasetParamInputs();
+            syncDatasetMetrics();
+        }
+        chart.render();
+    }
+}
+
+/**
+ * Setup the ρ mode select and altitude/temperature/humidity inputs
+ */
+function setupAtmosphereControls() {
+    const rhoMode = document.getElementById('rhoMode');
+    const rhoInput = document.getElementById('rhoInput');
+    const atmosphereInputs = document.getElementById('atmosphereInputs');
+    const altitudeInput = document.getElementById('altitudeInput');
+    const altitudeUnit = document.getElementById('altitudeUnit');
+    const temperatureMode = document.getElementById('temperatureMode');
+    const temperatureInput = document.getElementById('temperatureInput');
+    const humidityInput = document.getElementById('humidityInput');
+    if (!rhoMode || !rhoInput || !atmosphereInputs) return;
+    
+    const updateDensity = () => {
+        if (rhoMode.value !== 'altitude') return;
+        
+        const altitude = parseFloat(altitudeInput.value) || 0;
+        const temperature = parseFloat(temperatureInput.value) || 0;
+        const rho = airDensity({
+            altitude: altitudeUnit.value === 'ft' ? feetToMeters(altitude) : altitude,
+            tempOffset: temperatureMode.value === 'offset' ? temperature : 0,
+            oat: temperatureMode.value === 'oat' ? temperature : null,
+            humidity: parseFloat(humidityInput.value) || 0
+        });
+        
+        rhoInput.value = rho.toFixed(3);
+        setGlobalRho(rho);
+    };
+    
+    rhoMode.addEventListener('change', () => {
+        const altitudeMode = rhoMode.value === 'altitude';
+        atmosphereInputs.style.display = altitudeMode ? 'flex' : 'none';
+        rhoInput.disabled = altitudeMode;
+        updateDensity();
+    });
+    
+    [altitudeInput, altitudeUnit, temperatureMode, temperatureInput, humidityInput].forEach(input => {
+        input.addEventListener('change', updateDensity);
+    });
+}
+
+/**
+ * Setup the headwind and updraft inputs (in the chart's speed unit)
+ * Negative values are a tailwind and a downdraft
+ */
+function setupWindControls() {
+    const headwindInput = document.getElementById('headwindInput');
+    const updraftInput = document.getElementById('updraftInput');
+    if (!headwindInput || !updraftInput) return;
+    
+    const updateWind = () => {
+        if (!chart) return;
+        chart.setWind({
+            headwind: unitToMps(parseFloat(headwindInput.value) || 0, chart.speedUnit),
+            updraft: unitToMps(parseFloat(updraftInput.value) || 0, chart.speedUnit)
+        });
+        syncDatasetMetrics();
+    };
+    
+    [headwindInput, updraftInput].forEach(input => {
+        input.addEventListener('change', updateWind);
+    });
+}
+
+/**
+ * Show the chart's wind in the current speed unit
+ */
+function syncWindInputs() {
+    const headwindInput = document.getElementById('headwindInput');
+    const updraftInput = document.getElementById('updraftInput');
+    if (!chart || !headwindInput || !updraftInput) return;
+    
+    headwindInput.value = +mpsToUnit(chart.wind.headwind, chart.speedUnit).toFixed(2);
+    updraftInput.value = +mpsToUnit(chart.wind.updraft, chart.speedUnit).toFixed(2);
+    document.querySelectorAll('.wind-unit').forEach(span => {
+        span.textContent = SPEED_UNITS[chart.speedUnit].label;
+    });
+}
+
 /**
  * Setup data file upload functionality
  */
@@ -259,6 +898,19 @@ function setupDataFileUpload() {
             fileInput.value = '';
         });
     }
+    
+    // Polars built from wing parameters, for what-if comparisons
+    const parametricBtn = document.getElementById('addParametricBtn');
+    if (parametricBtn) {
+        parametricBtn.addEventListener('click', () => {
+            const count = datasetManager.getAllDatasets().filter(dataset => dataset.type === 'parametric').length;
+            const name = `What-if polar ${count + 1}`;
+            const color = getRandomColor();
+            const datasetId = datasetManager.addParametricDataset(name, {}, chart.rho, chart.s, chart.m, color);
+            addDatasetControl(datasetId, name, color);
+            chart.render();
+        });
+    }
 }
 
 /**
@@ -271,19 +923,25 @@ function loadDataFile(file) {
         try {
             const content = e.target.result;
             
-            // Generate random color for this dataset
-            const color = getRandomColor();
+            // Tables need the user to say which column is which
+            if (datasetManager.detectFormat(content) === 'table') {
+                showColumnMappingDialog(file.name, content);
+                return;
+            }
             
             // Get current parameters from chart
             const rho = chart.rho;
             const s = chart.s;
             const m = chart.m;
             
-            // Add dataset to manager
-            const datasetId = datasetManager.addDataset(file.name, content, rho, s, m, color);
+            // Add datasets to manager, each with its own random color
+            const datasetIds = datasetManager.addDataset(file.name, content, rho, s, m, getRandomColor);
             
-            // Create UI control for this dataset
-            addDatasetControl(datasetId, file.name, color);
+            // Create UI control for each dataset (parsers may pick a better name than the file's)
+            datasetIds.forEach(datasetId => {
+                const dataset = datasetManager.getDataset(datasetId);
+                addDatasetControl(datasetId, dataset.name, dataset.color);
+            });
             
             // Redraw chart
             chart.render();
@@ -301,6 +959,89 @@ function loadDataFile(file) {
     reader.readAsText(file);
 }
 
+/**
+ * Show the column mapping dialog for a CSV/TSV table and import it on confirm
+ */
+function showColumnMappingDialog(fileName, content) {
+    const dialog = document.getElementById('columnMappingDialog');
+    const nameInput = document.getElementById('mappingName');
+    const tbody = document.getElementById('mappingColumns');
+    if (!dialog || !nameInput || !tbody) return;
+    
+    const table = datasetManager.parseDelimitedTable(content);
+    const mapping = datasetManager.guessColumnMapping(table.columns);
+    
+    nameInput.value = fileName;
+    tbody.innerHTML = '';
+    
+    table.columns.forEach((column, index) => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = column;
+        
+        // Quantity select
+        const quantitySelect = document.createElement('select');
+        Object.entries(TABLE_QUANTITIES).forEach(([key, quantity]) => {
+            quantitySelect.add(new Option(quantity.label, key));
+        });
+        quantitySelect.value = mapping[index].quantity;
+        
+        // Unit select, refilled when the quantity changes
+        const unitSelect = document.createElement('select');
+        const fillUnits = () => {
+            unitSelect.innerHTML = '';
+            TABLE_QUANTITIES[quantitySelect.value].units.forEach(unit => {
+                unitSelect.add(new Option(TABLE_UNITS[unit].label, unit));
+            });
+        };
+        fillUnits();
+        unitSelect.value = mapping[index].unit;
+        
+        quantitySelect.addEventListener('change', () => {
+            fillUnits();
+            mapping[index].quantity = quantitySelect.value;
+            mapping[index].unit = unitSelect.value;
+        });
+        unitSelect.addEventListener('change', () => {
+            mapping[index].unit = unitSelect.value;
+        });
+        
+        const quantityCell = document.createElement('td');
+        quantityCell.appendChild(quantitySelect);
+        const unitCell = document.createElement('td');
+        unitCell.appendChild(unitSelect);
+        
+        // Preview of the first few values
+        const previewCell = document.createElement('td');
+        previewCell.textContent = table.rows.slice(0, 3).map(r => r[index]).join(', ');
+        
+        row.appendChild(nameCell);
+        row.appendChild(quantityCell);
+        row.appendChild(unitCell);
+        row.appendChild(previewCell);
+        tbody.appendChild(row);
+    });
+    
+    dialog.onclose = () => {
+        if (dialog.returnValue !== 'import') return;
+        
+        try {
+            const name = nameInput.value.trim() || fileName;
+            const color = getRandomColor();
+            const datasetId = datasetManager.addTableDataset(name, table, mapping, chart.rho, chart.s, chart.m, color);
+            addDatasetControl(datasetId, name, color);
+            chart.render();
+        } catch (error) {
+            alert(`Error loading file: ${error.message}`);
+            console.error('File load error:', error);
+        }
+    };
+    
+    dialog.returnValue = '';
+    dialog.showModal();
+}
+
 /**
  * Add UI controls for a dataset
  */
@@ -343,6 +1084,34 @@ function addDatasetControl(datasetId, fileName, color) {
         chart.render();
     });
     
+    // Per-dataset physical parameters
+    const paramsRow = createDatasetParamsRow(datasetId);
+    
+    // Best glide, min sink and max speed
+    const metricsList = document.createElement('div');
+    metricsList.className = 'dataset-metrics';
+    metricsList.dataset.datasetId = datasetId;
+    syncDatasetMetricsList(metricsList);
+    
+    // Model fitting
+    const fitRow = createDatasetFitRow(datasetId);
+    
+    // Wing parameter sliders for generated polars
+    const polarRow = datasetManager.getDataset(datasetId).type === 'parametric'
+        ? createDatasetPolarRow(datasetId)
+        : null;
+    
+    // Parent and transforms of derived datasets
+    const derivationRow = datasetManager.getDataset(datasetId).type === 'derived'
+        ? createDatasetDerivationRow(datasetId)
+        : null;
+    
+    // Derive a modified copy that follows this dataset
+    const deriveBtn = document.createElement('button');
+    deriveBtn.textContent = 'Derive';
+    deriveBtn.className = 'dataset-derive';
+    deriveBtn.addEventListener('click', () => showDeriveDialog(datasetId));
+    
     // Remove button
     const removeBtn = document.createElement('button');
     removeBtn.textContent = 'Remove';
@@ -350,20 +1119,459 @@ function addDatasetControl(datasetId, fileName, color) {
     removeBtn.addEventListener('click', () => {
         datasetManager.removeDataset(datasetId);
         datasetItem.remove();
+        // Datasets derived from this one are now unlinked
+        syncDatasetDerivations();
+        syncDatasetParamInputs();
         chart.render();
     });
     
     // Assemble controls
     controls.appendChild(colorInput);
     controls.appendChild(checkbox);
+    controls.appendChild(deriveBtn);
     controls.appendChild(removeBtn);
     
     datasetItem.appendChild(nameSpan);
     datasetItem.appendChild(controls);
+    if (derivationRow) {
+        datasetItem.appendChild(derivationRow);
+    }
+    datasetItem.appendChild(paramsRow);
+    if (polarRow) {
+        datasetItem.appendChild(polarRow);
+    }
+    datasetItem.appendChild(metricsList);
+    datasetItem.appendChild(fitRow);
     
     datasetList.appendChild(datasetItem);
 }
 
+/**
+ * Create the ρ, S, m inputs and lock checkbox for a dataset
+ */
+function createDatasetParamsRow(datasetId) {
+    const dataset = datasetManager.getDataset(datasetId);
+    
+    const paramsRow = document.createElement('div');
+    paramsRow.className = 'dataset-params';
+    paramsRow.dataset.datasetId = datasetId;
+    
+    // Lock to global checkbox
+    const lockLabel = document.createElement('label');
+    const lockCheckbox = document.createElement('input');
+    lockCheckbox.type = 'checkbox';
+    lockCheckbox.className = 'dataset-lock';
+    lockCheckbox.checked = dataset.lockParams;
+    lockLabel.appendChild(lockCheckbox);
+    lockLabel.appendChild(document.createTextNode(' Global'));
+    lockLabel.title = 'Use the global ρ, S, m';
+    paramsRow.appendChild(lockLabel);
+    
+    // One number input per parameter
+    const paramInputs = [
+        { key: 'rho', label: 'ρ', step: '0.01' },
+        { key: 's', label: 'S', step: '0.1' },
+        { key: 'm', label: 'm', step: '1' }
+    ];
+    
+    paramInputs.forEach(({ key, label, step }) => {
+        const paramLabel = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.min = step;
+        input.dataset.param = key;
+        input.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value) && value > 0) {
+                // Only this dataset needs new speed data
+                datasetManager.updateParams(datasetId, { [key]: value });
+                // Datasets derived from this one follow its new values
+                syncDatasetParamInputs();
+                syncDatasetMetrics();
+                chart.render();
+            }
+        });
+        paramLabel.appendChild(document.createTextNode(`${label}: `));
+        paramLabel.appendChild(input);
+        paramsRow.appendChild(paramLabel);
+    });
+    
+    lockCheckbox.addEventListener('change', (e) => {
+        datasetManager.setParamsLocked(datasetId, e.target.checked, chart.rho, chart.s, chart.m);
+        syncDatasetParamInputs();
+        syncDatasetMetrics();
+        chart.render();
+    });
+    
+    syncDatasetParamRow(paramsRow);
+    return paramsRow;
+}
+
+/**
+ * Refresh one dataset's parameter inputs from its stored params
+ */
+function syncDatasetParamRow(paramsRow) {
+    const dataset = datasetManager.getDataset(paramsRow.dataset.datasetId);
+    if (!dataset) return;
+    
+    // Linked derived datasets take their parameters from the parent
+    const followsParent = dataset.type === 'derived' && datasetManager.getDataset(dataset.parentId) !== null;
+    paramsRow.querySelector('.dataset-lock').disabled = followsParent;
+    paramsRow.querySelectorAll('input[type="number"]').forEach(input => {
+        input.value = dataset.params[input.dataset.param];
+        input.disabled = dataset.lockParams || followsParent;
+    });
+}
+
+/**
+ * Refresh all dataset parameter inputs (after global parameter changes)
+ */
+function syncDatasetParamInputs() {
+    document.querySelectorAll('.dataset-params').forEach(syncDatasetParamRow);
+}
+
+/**
+ * Create the line describing a derived dataset, with a button to edit its transforms
+ */
+function createDatasetDerivationRow(datasetId) {
+    const derivationRow = document.createElement('div');
+    derivationRow.className = 'dataset-derivation';
+    derivationRow.dataset.datasetId = datasetId;
+    
+    const description = document.createElement('span');
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => showDeriveDialog(datasetId, true));
+    
+    derivationRow.appendChild(description);
+    derivationRow.appendChild(editBtn);
+    syncDatasetDerivationRow(derivationRow);
+    return derivationRow;
+}
+
+/**
+ * Refresh a derived dataset's description (its parent may have been removed)
+ */
+function syncDatasetDerivationRow(derivationRow) {
+    const dataset = datasetManager.getDataset(derivationRow.dataset.datasetId);
+    if (!dataset) return;
+    
+    const parent = datasetManager.getDataset(dataset.parentId);
+    const transforms = describeTransforms(dataset.transforms);
+    const rejected = describeRejectedTransforms(dataset.rejectedTransforms);
+    const description = derivationRow.querySelector('span');
+    if (!parent) {
+        description.textContent = `↳ Derived (${transforms}); parent removed, no longer updated`;
+    } else if (rejected) {
+        description.textContent = `↳ Derived from ${parent.name}: ${transforms}; ` +
+            `no longer valid for the parent's data: ${rejected}. Showing the last valid data`;
+    } else {
+        description.textContent = `↳ Derived from ${parent.name}: ${transforms}`;
+    }
+    derivationRow.classList.toggle('invalid', Boolean(parent && rejected));
+    derivationRow.querySelector('button').disabled = !parent;
+}
+
+/**
+ * Refresh all derived dataset descriptions
+ */
+function syncDatasetDerivations() {
+    document.querySelectorAll('.dataset-derivation').forEach(syncDatasetDerivationRow);
+}
+
+/**
+ * Show the derive dialog: create a dataset derived from another, or edit a derived dataset's transforms
+ * @param {string} datasetId - Dataset to derive from, or the derived dataset when editing
+ * @param {boolean} edit - Whether to edit the transforms of an existing derived dataset
+ */
+function showDeriveDialog(datasetId, edit = false) {
+    const dialog = document.getElementById('deriveDialog');
+    const nameLabel = document.getElementById('deriveNameLabel');
+    const nameInput = document.getElementById('deriveName');
+    const tbody = document.getElementById('deriveTransforms');
+    const addBtn = document.getElementById('addTransformBtn');
+    const confirmBtn = document.getElementById('deriveConfirmBtn');
+    if (!dialog || !nameInput || !tbody) return;
+    
+    const dataset = datasetManager.getDataset(datasetId);
+    const initial = edit ? dataset.transforms : [{ type: 'dragIncrement', value: DATASET_TRANSFORMS.dragIncrement.value }];
+    const source = edit ? datasetManager.getDataset(dataset.parentId) : dataset;
+    
+    const readTransforms = () => [...tbody.querySelectorAll('tr')].map(row => ({
+        type: row.querySelector('select').value,
+        value: parseFloat(row.querySelector('input').value)
+    }));
+    
+    // Each row's limit depends on the rows above it, so all limits follow any edit,
+    // rounded up onto the input's step
+    const updateLimits = () => {
+        const checks = checkTransforms(readTransforms(), source);
+        tbody.querySelectorAll('tr input').forEach((input, i) => {
+            const { step } = DATASET_TRANSFORMS[checks[i].type];
+            const min = checks[i].min;
+            input.step = step;
+            input.min = isFinite(min) ? +(Math.ceil(min / step) * step).toFixed(6) : '';
+            input.title = input.min === '' ? '' : `At least ${input.min}`;
+        });
+    };
+    
+    // Names are only chosen when creating
+    nameLabel.style.display = edit ? 'none' : '';
+    nameInput.value = `${dataset.name} (derived)`;
+    confirmBtn.textContent = edit ? 'Apply' : 'Create';
+    tbody.innerHTML = '';
+    
+    const addRow = ({ type, value }) => {
+        const row = document.createElement('tr');
+        
+        const typeSelect = document.createElement('select');
+        Object.entries(DATASET_TRANSFORMS).forEach(([key, transform]) => {
+            typeSelect.add(new Option(transform.label, key));
+        });
+        typeSelect.value = type;
+        
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.required = true;
+        valueInput.value = value;
+        valueInput.addEventListener('input', updateLimits);
+        
+        // A new type starts from its typical value
+        typeSelect.addEventListener('change', () => {
+            valueInput.value = DATASET_TRANSFORMS[typeSelect.value].value;
+            updateLimits();
+        });
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            updateLimits();
+        });
+        
+        [typeSelect, valueInput, removeBtn].forEach(control => {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+        updateLimits();
+    };
+    initial.forEach(addRow);
+    
+    addBtn.onclick = () => addRow({ type: 'dragIncrement', value: DATASET_TRANSFORMS.dragIncrement.value });
+    
+    dialog.onclose = () => {
+        if (dialog.returnValue !== 'derive') return;
+        
+        // The row limits normally stop these, but never drop a transform without saying so
+        const transforms = readTransforms();
+        const rejected = describeRejectedTransforms(checkTransforms(transforms, source));
+        if (rejected) {
+            alert(`Not applied, past the limit for the data they act on: ${rejected}`);
+        }
+        
+        if (edit) {
+            datasetManager.updateTransforms(datasetId, transforms);
+            syncDatasetDerivations();
+        } else {
+            const name = nameInput.value.trim() || `${dataset.name} (derived)`;
+            const color = getRandomColor();
+            const childId = datasetManager.deriveDataset(datasetId, name, transforms, color);
+            addDatasetControl(childId, name, color);
+        }
+        syncDatasetParamInputs();
+        syncDatasetMetrics();
+        chart.render();
+    };
+    
+    dialog.returnValue = '';
+    dialog.showModal();
+}
+
+/**
+ * Create the wing parameter sliders of a parametric dataset; the polar regenerates as they move
+ */
+function createDatasetPolarRow(datasetId) {
+    const dataset = datasetManager.getDataset(datasetId);
+    
+    const polarRow = document.createElement('div');
+    polarRow.className = 'dataset-polar-params';
+    
+    Object.entries(PARAMETRIC_POLAR_FIELDS).forEach(([key, { label, min, max, step }]) => {
+        const sliderLabel = document.createElement('label');
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        Object.assign(slider, { min, max, step, value: dataset.polarParams[key] });
+        const valueSpan = document.createElement('span');
+        valueSpan.textContent = dataset.polarParams[key];
+        
+        slider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            datasetManager.updatePolarParams(datasetId, { [key]: value });
+            valueSpan.textContent = dataset.polarParams[key];
+            syncDatasetMetrics();
+            chart.render();
+        });
+        
+        sliderLabel.appendChild(document.createTextNode(label));
+        sliderLabel.appendChild(slider);
+        sliderLabel.appendChild(valueSpan);
+        polarRow.appendChild(sliderLabel);
+    });
+    
+    return polarRow;
+}
+
+/**
+ * Create the model fitting controls for a dataset: model, its option, fit/save/clear and the result
+ */
+function createDatasetFitRow(datasetId) {
+    const fitRow = document.createElement('div');
+    fitRow.className = 'dataset-fit';
+    fitRow.dataset.datasetId = datasetId;
+    
+    const modelSelect = document.createElement('select');
+    Object.entries(POLAR_MODELS).forEach(([key, { label, description }]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        option.title = description;
+        modelSelect.appendChild(option);
+    });
+    
+    // The selected model's tuning value (degree or smoothing)
+    const optionLabel = document.createElement('label');
+    const optionName = document.createTextNode('');
+    const optionInput = document.createElement('input');
+    optionInput.type = 'number';
+    optionLabel.appendChild(optionName);
+    optionLabel.appendChild(optionInput);
+    
+    const syncOptionInput = () => {
+        const { option } = POLAR_MODELS[modelSelect.value];
+        optionLabel.style.display = option ? '' : 'none';
+        if (option) {
+            optionName.textContent = `${option.label}: `;
+            Object.assign(optionInput, { min: option.min, max: option.max, step: option.step, value: option.value });
+        }
+    };
+    modelSelect.addEventListener('change', syncOptionInput);
+    syncOptionInput();
+    
+    const fitBtn = document.createElement('button');
+    fitBtn.textContent = 'Fit';
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save as Dataset';
+    saveBtn.className = 'dataset-fit-save';
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Clear';
+    clearBtn.className = 'dataset-fit-clear';
+    
+    const result = document.createElement('div');
+    result.className = 'dataset-fit-result';
+    
+    fitBtn.addEventListener('click', () => {
+        const { option } = POLAR_MODELS[modelSelect.value];
+        const options = option ? { [option.name]: parseFloat(optionInput.value) } : {};
+        try {
+            datasetManager.fitDataset(datasetId, modelSelect.value, options);
+            syncDatasetFitRow(fitRow);
+            chart.render();
+        } catch (error) {
+            alert(`Could not fit: ${error.message}`);
+        }
+    });
+    
+    saveBtn.addEventListener('click', () => {
+        const color = getRandomColor();
+        const newId = datasetManager.saveFitAsDataset(datasetId, color);
+        if (newId) {
+            addDatasetControl(newId, datasetManager.getDataset(newId).name, color);
+            chart.render();
+        }
+    });
+    
+    clearBtn.addEventListener('click', () => {
+        datasetManager.clearFit(datasetId);
+        syncDatasetFitRow(fitRow);
+        chart.render();
+    });
+    
+    fitRow.appendChild(modelSelect);
+    fitRow.appendChild(optionLabel);
+    fitRow.appendChild(fitBtn);
+    fitRow.appendChild(saveBtn);
+    fitRow.appendChild(clearBtn);
+    fitRow.appendChild(result);
+    syncDatasetFitRow(fitRow);
+    return fitRow;
+}
+
+/**
+ * Refresh one dataset's fit coefficients and goodness of fit
+ */
+function syncDatasetFitRow(fitRow) {
+    const dataset = datasetManager.getDataset(fitRow.dataset.datasetId);
+    if (!dataset) return;
+    
+    const fit = dataset.fit;
+    fitRow.querySelector('.dataset-fit-save').disabled = !fit || Boolean(fit.error);
+    fitRow.querySelector('.dataset-fit-clear').disabled = !fit;
+    const result = fitRow.querySelector('.dataset-fit-result');
+    if (!fit) {
+        result.textContent = '';
+        return;
+    }
+    if (fit.error) {
+        result.textContent = `${POLAR_MODELS[fit.model].label} no longer fits: ${fit.error}`;
+        return;
+    }
+    
+    const coefficients = fit.coefficients
+        .map(({ name, value }) => `${name} = ${Number.isInteger(value) ? value : value.toPrecision(4)}`)
+        .join(', ');
+    result.textContent = `${POLAR_MODELS[fit.model].description}: ${coefficients}. ` +
+        `R² = ${fit.goodness.r2.toFixed(4)}, RMSE = ${fit.goodness.rmse.toPrecision(3)}`;
+}
+
+/**
+ * Refresh one dataset's performance metrics (in the chart's speed unit)
+ */
+function syncDatasetMetricsList(metricsList) {
+    const dataset = datasetManager.getDataset(metricsList.dataset.datasetId);
+    if (!dataset) return;
+    
+    // Ratios and speeds are over the ground; best glide is flown at its airspeed
+    const speed = mps => `${mpsToUnit(mps, chart.speedUnit).toFixed(1)} ${SPEED_UNITS[chart.speedUnit].label}`;
+    const summaries = {
+        bestGlide: state => `${state.glideRatio.toFixed(2)}:1 at ${speed(state.vxs)}`,
+        minSink: state => speed(state.groundVys),
+        maxSpeed: state => speed(state.groundVxs)
+    };
+    
+    metricsList.replaceChildren();
+    for (const [key, { label }] of Object.entries(PERFORMANCE_METRICS)) {
+        const state = dataset.metrics[key];
+        const row = document.createElement('div');
+        row.textContent = state
+            ? `${label}: ${summaries[key](state)} (CL ${state.cl.toFixed(3)}, CD ${state.cd.toFixed(3)})`
+            : `${label}: n/a`;
+        metricsList.appendChild(row);
+    }
+}
+
+/**
+ * Refresh all dataset metrics, fits and derivations (after parameter or speed unit changes)
+ */
+function syncDatasetMetrics() {
+    document.querySelectorAll('.dataset-metrics').forEach(syncDatasetMetricsList);
+    document.querySelectorAll('.dataset-fit').forEach(syncDatasetFitRow);
+    syncDatasetDerivations();
+}
+
 /**
  * Generate a random color for datasets
  */
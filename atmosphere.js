@@ -0,0 +1,88 @@
+/**
+ * Atmosphere Module
+ * International Standard Atmosphere (ISA) air density from altitude, temperature and humidity
+ */
+
+import { GRAVITY } from './utilities.js';
+
+// ISA sea level conditions
+const SEA_LEVEL_TEMPERATURE = 288.15; // K
+const SEA_LEVEL_PRESSURE = 101325; // Pa
+const LAPSE_RATE = 0.0065; // K/m in the troposphere
+const TROPOPAUSE_ALTITUDE = 11000; // m
+
+// Gas constants
+const R_DRY_AIR = 287.05; // J/(kg·K)
+const R_WATER_VAPOR = 461.5; // J/(kg·K)
+
+const KELVIN_OFFSET = 273.15;
+const FT_TO_M = 0.3048;
+
+/**
+ * ISA temperature at a pressure altitude
+ * @param {number} altitude - Pressure altitude (m)
+ * @returns {number} Temperature (K)
+ */
+export function isaTemperature(altitude) {
+    const h = Math.min(altitude, TROPOPAUSE_ALTITUDE);
+    return SEA_LEVEL_TEMPERATURE - LAPSE_RATE * h;
+}
+
+/**
+ * ISA static pressure at a pressure altitude
+ * @param {number} altitude - Pressure altitude (m)
+ * @returns {number} Pressure (Pa)
+ */
+export function isaPressure(altitude) {
+    const exponent = GRAVITY / (LAPSE_RATE * R_DRY_AIR);
+    const h = Math.min(altitude, TROPOPAUSE_ALTITUDE);
+    const pressure = SEA_LEVEL_PRESSURE * Math.pow(1 - LAPSE_RATE * h / SEA_LEVEL_TEMPERATURE, exponent);
+    
+    // Isothermal layer above the tropopause
+    if (altitude > TROPOPAUSE_ALTITUDE) {
+        const tropopauseTemperature = isaTemperature(TROPOPAUSE_ALTITUDE);
+        return pressure * Math.exp(-GRAVITY * (altitude - TROPOPAUSE_ALTITUDE) / (R_DRY_AIR * tropopauseTemperature));
+    }
+    
+    return pressure;
+}
+
+/**
+ * Saturation vapor pressure of water (Tetens formula)
+ * @param {number} temperature - Temperature (K)
+ * @returns {number} Saturation vapor pressure (Pa)
+ */
+export function saturationVaporPressure(temperature) {
+    const celsius = temperature - KELVIN_OFFSET;
+    return 610.78 * Math.exp(17.27 * celsius / (celsius + 237.3));
+}
+
+/**
+ * Air density from pressure altitude, temperature and humidity
+ * Temperature is the outside air temperature when oat is given, otherwise ISA plus tempOffset
+ * @param {Object} conditions
+ * @param {number} conditions.altitude - Pressure altitude (m)
+ * @param {number} conditions.tempOffset - Deviation from ISA temperature (°C), default 0
+ * @param {number} conditions.oat - Outside air temperature (°C), overrides tempOffset
+ * @param {number} conditions.humidity - Relative humidity (%), default 0
+ * @returns {number} Air density (kg/m³)
+ */
+export function airDensity({ altitude, tempOffset = 0, oat = null, humidity = 0 }) {
+    const temperature = oat !== null && oat !== undefined
+        ? oat + KELVIN_OFFSET
+        : isaTemperature(altitude) + tempOffset;
+    const pressure = isaPressure(altitude);
+    
+    // Humid air is lighter: split into dry air and water vapor partial pressures
+    const vaporPressure = Math.min(humidity, 100) / 100 * saturationVaporPressure(temperature);
+    const dryPressure = pressure - vaporPressure;
+    
+    return dryPressure / (R_DRY_AIR * temperature) + vaporPressure / (R_WATER_VAPOR * temperature);
+}
+
+/**
+ * Convert feet to meters
+ */
+export function feetToMeters(feet) {
+    return feet * FT_TO_M;
+}
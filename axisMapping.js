@@ -11,6 +11,80 @@
  * So reversed:true means the sign is flipped (use -1 multiplier)
  */
 
+import { SPEED_UNITS } from './utilities.js';
+
+const DEFAULT_SPEED_UNIT = SPEED_UNITS.mph;
+
+// localStorage key for user-defined presets
+const CUSTOM_PRESETS_KEY = 'polarChart.axisPresets';
+
+// Prefix that keeps custom preset keys apart from the built-in ones
+const CUSTOM_PRESET_PREFIX = 'custom:';
+
+// Quantities each chart's axes can show, with their default label and description
+// Angle quantities are in degrees and always span ±ANGLE_RANGE
+export const AXIS_QUANTITIES = {
+    speedChart: {
+        vxs: { label: 'VXS', description: 'horizontal speed' },
+        vys: { label: 'VYS', description: 'vertical speed' },
+        vs: { label: 'VS', description: 'total speed' },
+        theta: { label: 'θ', description: 'flight-path angle', angle: true }
+    },
+    coeffChart: {
+        cd: { label: 'CD', description: 'drag coefficient' },
+        cl: { label: 'CL', description: 'lift coefficient' },
+        cr: { label: 'CR', description: 'resultant coefficient' },
+        ldAngle: { label: 'θLD', description: 'L/D angle', angle: true }
+    }
+};
+
+export const ANGLE_RANGE = 180;
+
+const AXIS_NAMES = { xAxis: 'X', yAxis: 'Y' };
+
+// Components of each chart and the polar-form quantities built from them
+const CHART_COMPONENTS = {
+    speedChart: { first: 'vxs', second: 'vys', magnitude: 'vs', angle: 'theta' },
+    coeffChart: { first: 'cl', second: 'cd', magnitude: 'cr', angle: 'ldAngle' }
+};
+
+// Angles run from the first component towards the second (+VXS towards +VYS, +CL towards +CD),
+// so the flight-path angle and the L/D angle of a sustained state are equal
+const DERIVED_VALUES = {
+    vs: p => Math.hypot(p.vxs, p.vys),
+    theta: p => Math.atan2(p.vys, p.vxs) * 180 / Math.PI,
+    cr: p => Math.hypot(p.cl, p.cd),
+    ldAngle: p => Math.atan2(p.cd, p.cl) * 180 / Math.PI
+};
+
+/**
+ * Components of a chart point from the values of any two of its quantities
+ * A component paired with the magnitude has two solutions; the positive one is returned
+ * @param {string} chartKey - 'speedChart' or 'coeffChart'
+ * @param {Object} values - Two quantity values keyed by quantity name
+ * @returns {Object} { vxs, vys } or { cl, cd }
+ */
+function componentsFromValues(chartKey, values) {
+    const { first, second, magnitude, angle } = CHART_COMPONENTS[chartKey];
+    const radians = values[angle] * Math.PI / 180;
+    let a = values[first];
+    let b = values[second];
+    
+    if (a === undefined && b === undefined) {
+        a = values[magnitude] * Math.cos(radians);
+        b = values[magnitude] * Math.sin(radians);
+    } else if (a === undefined) {
+        a = values[angle] !== undefined
+            ? b / Math.tan(radians)
+            : Math.sqrt(Math.max(values[magnitude] ** 2 - b * b, 0));
+    } else if (b === undefined) {
+        b = values[angle] !== undefined
+            ? a * Math.tan(radians)
+            : Math.sqrt(Math.max(values[magnitude] ** 2 - a * a, 0));
+    }
+    return { [first]: a, [second]: b };
+}
+
 // Preset configurations
 export const AXIS_PRESETS = {
     // Default: Current configuration
@@ -97,9 +171,99 @@ export const AXIS_PRESETS = {
             xAxis: { value: 'cd', reversed: false, label: 'CD', description: 'drag coefficient' },
             yAxis: { value: 'cl', reversed: true, label: 'CL', description: 'lift coefficient' }
         }
+    },
+    
+    // Polar form: total speed against flight-path angle, morphing into resultant coefficient
+    // against L/D angle (the angle is the same in both views, so points only move sideways)
+    polarForm: {
+        name: 'Polar Form (V–θ)',
+        description: 'VS→X, θ→Y | CR→X, θLD→Y',
+        speedChart: {
+            xAxis: { value: 'vs', reversed: false, label: 'VS', description: 'total speed' },
+            yAxis: { value: 'theta', reversed: false, label: 'θ', description: 'flight-path angle' }
+        },
+        coeffChart: {
+            xAxis: { value: 'cr', reversed: false, label: 'CR', description: 'resultant coefficient' },
+            yAxis: { value: 'ldAngle', reversed: false, label: 'θLD', description: 'L/D angle' }
+        }
     }
 };
 
+/**
+ * Check an axis configuration
+ * @param {Object} config - { speedChart, coeffChart }, each with xAxis and yAxis
+ * @returns {string[]} Problems found, empty when the configuration is usable
+ */
+export function validateAxisConfig(config) {
+    const errors = [];
+    for (const [chartKey, quantities] of Object.entries(AXIS_QUANTITIES)) {
+        const chart = config && config[chartKey];
+        const chartName = chartKey === 'speedChart' ? 'Speed' : 'Coefficient';
+        if (!chart || !chart.xAxis || !chart.yAxis) {
+            errors.push(`${chartName} chart needs an X and a Y axis`);
+            continue;
+        }
+        for (const axis of Object.keys(AXIS_NAMES)) {
+            if (!quantities[chart[axis].value]) {
+                errors.push(`${chartName} ${AXIS_NAMES[axis]} axis has an unknown quantity`);
+            }
+        }
+        if (chart.xAxis.value === chart.yAxis.value) {
+            errors.push(`${chartName} chart uses ${chart.xAxis.value.toUpperCase()} on both axes`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Short summary of an axis configuration, in the style of the preset descriptions
+ * @param {Object} config - { speedChart, coeffChart }
+ * @returns {string} e.g. 'VXS→X, VYS→Y | CD→X(rev), CL→Y(rev)'
+ */
+export function describeAxisConfig(config) {
+    const describeChart = chart => Object.entries(AXIS_NAMES)
+        .map(([axis, name]) => `${chart[axis].label}→${name}${chart[axis].reversed ? '(rev)' : ''}`)
+        .join(', ');
+    return `${describeChart(config.speedChart)} | ${describeChart(config.coeffChart)}`;
+}
+
+/**
+ * Coefficient label for the coefficient type: C labels become K labels in K mode ('CD' -> 'KD')
+ */
+function toCoeffTypeLabel(label, coeffType) {
+    if (coeffType === 'k' && label.startsWith('C')) {
+        return 'K' + label.slice(1);
+    }
+    return label;
+}
+
+/**
+ * Saved custom presets, keyed as 'custom:<name>'
+ * Falls back to none where localStorage is unavailable or holds bad data
+ */
+function readCustomPresets() {
+    try {
+        const stored = typeof localStorage !== 'undefined' && localStorage.getItem(CUSTOM_PRESETS_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.warn('Could not read custom axis presets:', error);
+        return {};
+    }
+}
+
+/**
+ * Store the custom presets
+ * @throws {Error} If localStorage refuses the write (full, or blocked in private browsing)
+ */
+function writeCustomPresets(presets) {
+    if (typeof localStorage === 'undefined') return;
+    try {
+        localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(presets));
+    } catch (error) {
+        throw new Error(`Could not store custom axis presets: ${error.message}`);
+    }
+}
+
 /**
  * AxisMapping class - manages axis configuration for the chart
  */
@@ -112,7 +276,7 @@ export class AxisMapping {
      * Set configuration from a preset name
      */
     setPreset(presetName) {
-        const preset = AXIS_PRESETS[presetName];
+        const preset = AXIS_PRESETS[presetName] || readCustomPresets()[presetName];
         if (!preset) {
             console.warn(`Unknown preset: ${presetName}, using default`);
             this.config = { ...AXIS_PRESETS.default };
@@ -137,6 +301,95 @@ export class AxisMapping {
         return this.config;
     }
     
+    /**
+     * Use a custom configuration
+     * @param {Object} config - { name, description, speedChart, coeffChart }; axes are
+     *     { value, reversed, label, description }, label and description default from AXIS_QUANTITIES
+     * @param {string} presetName - Name reported by getPresetName
+     * @throws {Error} If the configuration is not usable (see validateAxisConfig)
+     */
+    setConfig(config, presetName = 'custom') {
+        const errors = validateAxisConfig(config);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        
+        const normalizeChart = (chartKey) => {
+            const chart = {};
+            for (const axis of Object.keys(AXIS_NAMES)) {
+                const { value, reversed, label, description } = config[chartKey][axis];
+                const defaults = AXIS_QUANTITIES[chartKey][value];
+                chart[axis] = {
+                    value,
+                    reversed: Boolean(reversed),
+                    label: label || defaults.label,
+                    description: description || defaults.description
+                };
+            }
+            return chart;
+        };
+        
+        const speedChart = normalizeChart('speedChart');
+        const coeffChart = normalizeChart('coeffChart');
+        this.config = {
+            name: config.name || 'Custom',
+            description: describeAxisConfig({ speedChart, coeffChart }),
+            speedChart,
+            coeffChart
+        };
+        this.currentPreset = presetName;
+    }
+    
+    // ========== Custom Presets ==========
+    
+    /**
+     * Saved custom presets
+     * @returns {Object} Presets keyed by preset name ('custom:<name>'), shaped like AXIS_PRESETS entries
+     */
+    getCustomPresets() {
+        return readCustomPresets();
+    }
+    
+    /**
+     * Save the current configuration as a named preset and switch to it
+     * Saving under an existing name replaces that preset
+     * @param {string} name - Display name
+     * @returns {string} Preset name to pass to setPreset
+     * @throws {Error} If the name is empty or the preset cannot be stored
+     */
+    saveCustomPreset(name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('Preset name is empty');
+        }
+        
+        const presetName = CUSTOM_PRESET_PREFIX + trimmed;
+        const presets = readCustomPresets();
+        presets[presetName] = { ...structuredClone(this.config), name: trimmed };
+        writeCustomPresets(presets);
+        
+        this.config = presets[presetName];
+        this.currentPreset = presetName;
+        return presetName;
+    }
+    
+    /**
+     * Delete a saved custom preset (the current configuration is kept)
+     * @param {string} presetName - Name returned by saveCustomPreset
+     * @returns {boolean} Whether a preset was deleted
+     * @throws {Error} If the remaining presets cannot be stored
+     */
+    deleteCustomPreset(presetName) {
+        const presets = readCustomPresets();
+        if (!presets[presetName]) return false;
+        delete presets[presetName];
+        writeCustomPresets(presets);
+        if (this.currentPreset === presetName) {
+            this.currentPreset = 'custom';
+        }
+        return true;
+    }
+    
     // ========== Speed Chart Methods ==========
     
     /**
@@ -147,7 +400,7 @@ export class AxisMapping {
      */
     getSpeedValue(point, axis) {
         const valueName = this.config.speedChart[axis].value;
-        return point[valueName];
+        return DERIVED_VALUES[valueName] ? DERIVED_VALUES[valueName](point) : point[valueName];
     }
     
     /**
@@ -189,12 +442,67 @@ export class AxisMapping {
     /**
      * Get the value name (property key) for speed axis
      * @param {string} axis - 'xAxis' or 'yAxis'
-     * @returns {string} 'vxs' or 'vys'
+     * @returns {string} A key of AXIS_QUANTITIES.speedChart, e.g. 'vxs' or 'theta'
      */
     getSpeedValueName(axis) {
         return this.config.speedChart[axis].value;
     }
     
+    /**
+     * Half-span of a speed axis: the speed range, or ANGLE_RANGE for an angle
+     * @param {string} axis - 'xAxis' or 'yAxis'
+     * @param {number} range - Speed range in display units
+     * @returns {number}
+     */
+    getSpeedAxisRange(axis, range) {
+        return AXIS_QUANTITIES.speedChart[this.getSpeedValueName(axis)].angle ? ANGLE_RANGE : range;
+    }
+    
+    /**
+     * Label for a speed quantity: the label of the axis showing it, else its default
+     * @param {string} quantity - Key of AXIS_QUANTITIES.speedChart
+     * @returns {string}
+     */
+    getSpeedQuantityLabel(quantity) {
+        const axis = Object.keys(AXIS_NAMES).find(axis => this.getSpeedValueName(axis) === quantity);
+        return axis ? this.getSpeedLabel(axis) : AXIS_QUANTITIES.speedChart[quantity].label;
+    }
+    
+    /**
+     * Whether the speed view shows a quantity on either axis
+     * @param {string} quantity - Key of AXIS_QUANTITIES.speedChart
+     * @returns {boolean}
+     */
+    showsSpeedQuantity(quantity) {
+        return Object.keys(AXIS_NAMES).some(axis => this.getSpeedValueName(axis) === quantity);
+    }
+    
+    /**
+     * Whether a segment between two speed points jumps across ±180° on an angle axis
+     * Such segments are not drawn: the two ends sit at opposite edges of the chart
+     * @param {Object} a - Point with vxs, vys
+     * @param {Object} b - Point with vxs, vys
+     * @returns {boolean}
+     */
+    speedWraps(a, b) {
+        return Object.keys(AXIS_NAMES).some(axis =>
+            AXIS_QUANTITIES.speedChart[this.getSpeedValueName(axis)].angle &&
+            Math.abs(this.getSpeedValue(a, axis) - this.getSpeedValue(b, axis)) > ANGLE_RANGE);
+    }
+    
+    /**
+     * Speed components from speed axis values (see componentsFromValues)
+     * @param {number} xValue - X-axis quantity value
+     * @param {number} yValue - Y-axis quantity value
+     * @returns {Object} Point with vxs, vys
+     */
+    speedFromAxes(xValue, yValue) {
+        return componentsFromValues('speedChart', {
+            [this.getSpeedValueName('xAxis')]: xValue,
+            [this.getSpeedValueName('yAxis')]: yValue
+        });
+    }
+    
     // ========== Coefficient Chart Methods ==========
     
     /**
@@ -205,7 +513,10 @@ export class AxisMapping {
      * @returns {number} The coefficient value for that axis
      */
     getCoeffValue(point, axis, coeffType = 'c') {
-        const baseValue = this.config.coeffChart[axis].value; // 'cd' or 'cl'
+        const baseValue = this.config.coeffChart[axis].value; // 'cd', 'cl' or a derived quantity
+        if (DERIVED_VALUES[baseValue]) {
+            return DERIVED_VALUES[baseValue]({ cl: point[coeffType + 'l'], cd: point[coeffType + 'd'] });
+        }
         // Convert to actual property name based on coeffType
         // 'cd' -> coeffType + 'd' = 'cd' or 'kd'
         // 'cl' -> coeffType + 'l' = 'cl' or 'kl'
@@ -230,11 +541,7 @@ export class AxisMapping {
      * @returns {string} Label like 'CD', 'CL', 'KD', 'KL'
      */
     getCoeffLabel(axis, coeffType = 'c') {
-        const baseLabel = this.config.coeffChart[axis].label; // 'CD' or 'CL'
-        if (coeffType === 'k') {
-            return 'K' + baseLabel.slice(1); // 'CD' -> 'KD', 'CL' -> 'KL'
-        }
-        return baseLabel;
+        return toCoeffTypeLabel(this.config.coeffChart[axis].label, coeffType);
     }
     
     /**
@@ -258,12 +565,69 @@ export class AxisMapping {
     /**
      * Get the base value name (property key) for coefficient axis
      * @param {string} axis - 'xAxis' or 'yAxis'
-     * @returns {string} 'cd' or 'cl'
+     * @returns {string} A key of AXIS_QUANTITIES.coeffChart, e.g. 'cd' or 'cr'
      */
     getCoeffValueName(axis) {
         return this.config.coeffChart[axis].value;
     }
     
+    /**
+     * Half-span of a coefficient axis: the coefficient range, or ANGLE_RANGE for an angle
+     * @param {string} axis - 'xAxis' or 'yAxis'
+     * @param {number} range - Coefficient range
+     * @returns {number}
+     */
+    getCoeffAxisRange(axis, range) {
+        return AXIS_QUANTITIES.coeffChart[this.getCoeffValueName(axis)].angle ? ANGLE_RANGE : range;
+    }
+    
+    /**
+     * Label for a coefficient quantity: the label of the axis showing it, else its default
+     * @param {string} quantity - Key of AXIS_QUANTITIES.coeffChart
+     * @param {string} coeffType - 'c' or 'k'
+     * @returns {string}
+     */
+    getCoeffQuantityLabel(quantity, coeffType = 'c') {
+        const axis = Object.keys(AXIS_NAMES).find(axis => this.getCoeffValueName(axis) === quantity);
+        return axis
+            ? this.getCoeffLabel(axis, coeffType)
+            : toCoeffTypeLabel(AXIS_QUANTITIES.coeffChart[quantity].label, coeffType);
+    }
+    
+    /**
+     * Whether the coefficient view shows a quantity on either axis
+     * @param {string} quantity - Key of AXIS_QUANTITIES.coeffChart
+     * @returns {boolean}
+     */
+    showsCoeffQuantity(quantity) {
+        return Object.keys(AXIS_NAMES).some(axis => this.getCoeffValueName(axis) === quantity);
+    }
+    
+    /**
+     * Whether a segment between two coefficient points jumps across ±180° on an angle axis
+     * @param {Object} a - Point with cl, cd
+     * @param {Object} b - Point with cl, cd
+     * @returns {boolean}
+     */
+    coeffWraps(a, b) {
+        return Object.keys(AXIS_NAMES).some(axis =>
+            AXIS_QUANTITIES.coeffChart[this.getCoeffValueName(axis)].angle &&
+            Math.abs(this.getCoeffValue(a, axis) - this.getCoeffValue(b, axis)) > ANGLE_RANGE);
+    }
+    
+    /**
+     * Coefficient components from coefficient axis values (see componentsFromValues)
+     * @param {number} xValue - X-axis quantity value
+     * @param {number} yValue - Y-axis quantity value
+     * @returns {Object} Point with cl, cd
+     */
+    coeffFromAxes(xValue, yValue) {
+        return componentsFromValues('coeffChart', {
+            [this.getCoeffValueName('xAxis')]: xValue,
+            [this.getCoeffValueName('yAxis')]: yValue
+        });
+    }
+    
     // ========== Coordinate Calculation Helpers ==========
     
     /**
@@ -271,13 +635,13 @@ export class AxisMapping {
      * @param {Object} speedPoint - Point with vxs, vys
      * @param {number} cx - Canvas center X
      * @param {number} halfWidth - Half canvas width
-     * @param {number} range - Speed range (e.g., 150)
+     * @param {number} range - Speed range in the point's units (e.g., 150 mph)
      * @returns {number} X coordinate
      */
     calcSpeedX(speedPoint, cx, halfWidth, range = 150) {
         const value = this.getSpeedValue(speedPoint, 'xAxis');
         const sign = this.getSpeedSign('xAxis');
-        return cx + sign * (value / range) * halfWidth;
+        return cx + sign * (value / this.getSpeedAxisRange('xAxis', range)) * halfWidth;
     }
     
     /**
@@ -285,13 +649,13 @@ export class AxisMapping {
      * @param {Object} speedPoint - Point with vxs, vys
      * @param {number} cy - Canvas center Y
      * @param {number} halfHeight - Half canvas height
-     * @param {number} range - Speed range (e.g., 150)
+     * @param {number} range - Speed range in the point's units (e.g., 150 mph)
      * @returns {number} Y coordinate
      */
     calcSpeedY(speedPoint, cy, halfHeight, range = 150) {
         const value = this.getSpeedValue(speedPoint, 'yAxis');
         const sign = this.getSpeedSign('yAxis');
-        return cy + sign * (value / range) * halfHeight;
+        return cy + sign * (value / this.getSpeedAxisRange('yAxis', range)) * halfHeight;
     }
     
     /**
@@ -306,7 +670,7 @@ export class AxisMapping {
     calcCoeffX(coeffPoint, cx, halfWidth, range, coeffType = 'c') {
         const value = this.getCoeffValue(coeffPoint, 'xAxis', coeffType);
         const sign = this.getCoeffSign('xAxis');
-        return cx + sign * (value / range) * halfWidth;
+        return cx + sign * (value / this.getCoeffAxisRange('xAxis', range)) * halfWidth;
     }
     
     /**
@@ -321,7 +685,61 @@ export class AxisMapping {
     calcCoeffY(coeffPoint, cy, halfHeight, range, coeffType = 'c') {
         const value = this.getCoeffValue(coeffPoint, 'yAxis', coeffType);
         const sign = this.getCoeffSign('yAxis');
-        return cy + sign * (value / range) * halfHeight;
+        return cy + sign * (value / this.getCoeffAxisRange('yAxis', range)) * halfHeight;
+    }
+    
+    /**
+     * Invert calcSpeedX/calcSpeedY: speed values at a chart position
+     * @param {number} x - Chart X coordinate
+     * @param {number} y - Chart Y coordinate
+     * @param {number} cx - Canvas center X
+     * @param {number} cy - Canvas center Y
+     * @param {number} halfWidth - Half canvas width
+     * @param {number} halfHeight - Half canvas height
+     * @param {number} range - Speed range in the point's units (e.g., 150 mph)
+     * @returns {Object} Point with vxs, vys
+     */
+    invertSpeed(x, y, cx, cy, halfWidth, halfHeight, range = 150) {
+        return this.speedFromAxes(
+            this.getSpeedSign('xAxis') * (x - cx) / halfWidth * this.getSpeedAxisRange('xAxis', range),
+            this.getSpeedSign('yAxis') * (y - cy) / halfHeight * this.getSpeedAxisRange('yAxis', range)
+        );
+    }
+    
+    /**
+     * Invert calcCoeffX/calcCoeffY: coefficient values at a chart position
+     * @param {number} x - Chart X coordinate
+     * @param {number} y - Chart Y coordinate
+     * @param {number} cx - Canvas center X
+     * @param {number} cy - Canvas center Y
+     * @param {number} halfWidth - Half canvas width
+     * @param {number} halfHeight - Half canvas height
+     * @param {number} range - Coefficient range (e.g., 1 or 10)
+     * @returns {Object} Point with cd, cl (K values when the chart plots K)
+     */
+    invertCoeff(x, y, cx, cy, halfWidth, halfHeight, range) {
+        return this.coeffFromAxes(
+            this.getCoeffSign('xAxis') * (x - cx) / halfWidth * this.getCoeffAxisRange('xAxis', range),
+            this.getCoeffSign('yAxis') * (y - cy) / halfHeight * this.getCoeffAxisRange('yAxis', range)
+        );
+    }
+    
+    /**
+     * Linear map from a chart's components to its axis values, signs included
+     * Rows are the X and Y axes, columns the components (VXS, VYS or CL, CD)
+     * @param {string} chartKey - 'speedChart' or 'coeffChart'
+     * @returns {number[][]|null} null when an axis shows a polar-form quantity
+     */
+    getComponentMatrix(chartKey) {
+        const { first, second } = CHART_COMPONENTS[chartKey];
+        const rows = [];
+        for (const axis of Object.keys(AXIS_NAMES)) {
+            const { value, reversed } = this.config[chartKey][axis];
+            if (value !== first && value !== second) return null;
+            const sign = reversed ? -1 : 1;
+            rows.push(value === first ? [sign, 0] : [0, sign]);
+        }
+        return rows;
     }
     
     // ========== Legend/Label Text Helpers ==========
@@ -331,24 +749,31 @@ export class AxisMapping {
      * @param {string} chartType - 'speed' or 'coeff'
      * @param {string} axis - 'xAxis' or 'yAxis'
      * @param {string} coeffType - 'c' or 'k' (only for coeff chart)
+     * @param {Object} speedUnit - Speed unit with label and range (only for speed chart)
+     * @param {number} coeffRange - Coefficient range in C units (only for coeff chart)
      * @returns {string} Full description like "VXS (horizontal speed, -150 to +150 mph)"
      */
-    getAxisLegendText(chartType, axis, coeffType = 'c') {
+    getAxisLegendText(chartType, axis, coeffType = 'c', speedUnit = DEFAULT_SPEED_UNIT, coeffRange = 1) {
         if (chartType === 'speed') {
             const label = this.getSpeedLabel(axis);
             const desc = this.getSpeedDescription(axis);
             const reversed = this.isSpeedReversed(axis);
+            const isAngle = AXIS_QUANTITIES.speedChart[this.getSpeedValueName(axis)].angle;
+            const { range, label: unitLabel } = isAngle ? { range: ANGLE_RANGE, label: '°' } : speedUnit;
             const direction = axis === 'xAxis' 
-                ? (reversed ? '+150 LEFT to -150 RIGHT' : '-150 to +150 mph')
-                : (reversed ? '+150 TOP to -150 BOTTOM' : '-150 to +150 mph');
+                ? (reversed ? `+${range} LEFT to -${range} RIGHT ${unitLabel}` : `-${range} to +${range} ${unitLabel}`)
+                : (reversed ? `+${range} TOP to -${range} BOTTOM ${unitLabel}` : `-${range} to +${range} ${unitLabel}`);
             return `${label} (${desc}, ${direction})`;
         } else {
             const label = this.getCoeffLabel(axis, coeffType);
             const desc = this.getCoeffDescription(axis);
             const reversed = this.isCoeffReversed(axis);
+            const isAngle = AXIS_QUANTITIES.coeffChart[this.getCoeffValueName(axis)].angle;
+            const range = isAngle ? ANGLE_RANGE : coeffRange;
+            const unitSuffix = isAngle ? '°' : '';
             const direction = axis === 'xAxis'
-                ? (reversed ? '+1 LEFT to -1 RIGHT' : '-1 to +1')
-                : (reversed ? '+1 TOP to -1 BOTTOM' : '-1 to +1');
+                ? (reversed ? `+${range} LEFT to -${range} RIGHT${unitSuffix}` : `-${range} to +${range}${unitSuffix}`)
+                : (reversed ? `+${range} TOP to -${range} BOTTOM${unitSuffix}` : `-${range} to +${range}${unitSuffix}`);
             return `${label} (${desc}, ${direction})`;
         }
     }
@@ -359,16 +784,17 @@ export class AxisMapping {
      * @param {string} lineType - 'horizontal' or 'vertical'
      * @param {number} value - The value for this grid line
      * @param {string} coeffType - 'c' or 'k' (only for coeff chart)
-     * @returns {string} Label like "VYS=30" or "CL=0.5"
+     * @param {Object} speedUnit - Speed unit with label (only for speed chart)
+     * @returns {string} Label like "VYS=30 mph" or "CL=0.5"
      */
-    getGridLineLabel(chartType, lineType, value, coeffType = 'c') {
+    getGridLineLabel(chartType, lineType, value, coeffType = 'c', speedUnit = DEFAULT_SPEED_UNIT) {
         // horizontal lines are constant Y-axis value
         // vertical lines are constant X-axis value
         const axis = lineType === 'horizontal' ? 'yAxis' : 'xAxis';
         
         if (chartType === 'speed') {
             const label = this.getSpeedLabel(axis);
-            return `${label}=${value}`;
+            return `${label}=${value} ${speedUnit.label}`;
         } else {
             const label = this.getCoeffLabel(axis, coeffType);
             // Format based on magnitude
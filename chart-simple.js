@@ -1,16 +1,158 @@
-import { coeffToSS, ssToCoeff, mphToMps, mpsToMph } from './utilities.js';
-import { easeInOutExpo, easeZoom } from './interpolation.js';
+import { coeffToSS, ssToCoeff, coeffToK, mpsToUnit, unitToMps, SPEED_UNITS } from './utilities.js';
+import { EASINGS, easeZoom, MORPH_MODES, morphLinear, morphThroughOrigin, morphExponent } from './interpolation.js';
 import { AxisMapping, AXIS_PRESETS } from './axisMapping.js';
+import { VIEWS, coeffViewFor } from './views.js';
+import { LabelPlacer } from './labelPlacement.js';
+import {
+    createGridSettings, createSpeedGridSettings, validateFamily, familyLineValues, gridValues, sampleRange, isMultipleOf,
+    GLIDE_QUADRANTS, DEFAULT_GLIDE_LINES, validateGlideLine
+} from './gridSettings.js';
+
+// Limits for the user's wheel zoom
+const MIN_VIEW_ZOOM = 0.2;
+const MAX_VIEW_ZOOM = 200;
+const WHEEL_ZOOM_RATE = 0.0015; // Zoom factor per wheel delta unit (exponential)
+const FIT_PADDING = 0.85; // Fraction of the canvas used by fit-to-data
+
+// Hover readout
+const HOVER_SNAP_RADIUS = 10; // Pixels within which the readout snaps to a dataset point
+const NEWTON_ITERATIONS = 30;
+const NEWTON_TOLERANCE = 0.01; // Pixels
+const UNPROJECT_TOLERANCE = 0.5; // Largest accepted residual (pixels)
+
+/**
+ * Angles (radians) around a full circle, closing back on the start
+ * @param {number} radius - Circle radius
+ * @param {number} step - Largest arc length between samples (same units as radius)
+ * @returns {number[]}
+ */
+function circleAngles(radius, step) {
+    return sampleRange(0, 2 * Math.PI, Math.min(step / radius, Math.PI / 12));
+}
+
+// Line labels
+const LINE_LABEL_FONT = 'bold 11px Arial';
+const AOA_LABEL_FONT = '10px Arial';
+const METRIC_LABEL_FONT = 'bold 10px Arial';
+const LABEL_LINE_OFFSET = 15; // Pixels between a line and its label
+const LABEL_STEP = 0.05; // Fraction of a line between alternative label positions
+const LABEL_MAX_STEPS = 6; // Alternatives tried on each side of the preferred position
+
+// Which labels survive when they collide: dataset labels (performance points before AOA), then the labels of the
+// grid that is straight in the nearest view (see labelPriority), then by line type
+const LABEL_PRIORITIES = {
+    'horizontal': 4,
+    'vertical': 4,
+    'coeff-horizontal': 4,
+    'coeff-vertical': 4,
+    'glide': 3,
+    'speed-circle': 2,
+    'angle-ray': 2,
+    'ld-ray': 2,
+    'coeff-circle': 2,
+    'horizontal-inner': 1,
+    'vertical-inner': 1
+};
+const METRIC_LABEL_PRIORITY = 30;
+const AOA_LABEL_PRIORITY = 20;
+const VIEW_GRID_PRIORITY = 10;
+
+// Line types that close on themselves, so label positions wrap around
+const CLOSED_LINE_TYPES = new Set(['speed-circle', 'coeff-circle']);
+
+// Coefficient quantity each coefficient line type holds constant
+const COEFF_LINE_QUANTITIES = {
+    'coeff-horizontal': 'cl',
+    'coeff-vertical': 'cd',
+    'coeff-circle': 'cr'
+};
+
+/**
+ * Format a K-coefficient with a milli or micro suffix for readability
+ * @param {number} kValue - K-coefficient (s²/m²)
+ * @returns {string} e.g. '0.71m' or '12.3μ'
+ */
+function formatK(kValue) {
+    const milliValue = kValue * 1000;
+    if (Math.abs(milliValue) < 0.1 && milliValue !== 0) {
+        const microValue = kValue * 1000000;
+        return `${microValue.toFixed(1)}μ`;
+    }
+    return `${milliValue.toFixed(2)}m`;
+}
+
+/**
+ * Candidate label positions along a drawn line, nearest the preferred point first
+ * @param {Object[]} projected - Screen { x, y } of each drawn point (missing where not drawn)
+ * @param {number} numPoints - Points on the line
+ * @param {number} preferredIndex - Point the label sits beside when nothing collides
+ * @param {number} offset - Signed distance from the line to the label centre (pixels)
+ * @param {boolean} closed - Whether the line closes on itself, so positions wrap around
+ * @returns {Object[]} { id, x, y } label centres, on both sides of the line at each point
+ */
+function lineLabelCandidates(projected, numPoints, preferredIndex, offset, closed) {
+    const candidates = [];
+    const stepPoints = Math.max(1, Math.round(numPoints * LABEL_STEP));
+    
+    for (let step = 0; step <= LABEL_MAX_STEPS * 2; step++) {
+        // 0, +1, -1, +2, -2, ...
+        const shift = step % 2 === 1 ? (step + 1) / 2 : -step / 2;
+        if (step > 0 && shift === 0) continue;
+        let i = preferredIndex + shift * stepPoints;
+        if (closed) {
+            i = ((i % numPoints) + numPoints) % numPoints;
+        }
+        const point = projected[i];
+        if (!point) continue;
+        
+        // Perpendicular to the line, from its direction a few points either side
+        const prev = projected[Math.max(0, i - 3)] || point;
+        const next = projected[Math.min(numPoints - 1, i + 3)] || point;
+        const dx = next.x - prev.x;
+        const dy = next.y - prev.y;
+        const len = Math.sqrt(dx * dx + dy * dy);
+        const perpX = len > 0 ? -dy / len : 0;
+        const perpY = len > 0 ? dx / len : 0;
+        
+        // The preferred side first, then the other side of the line
+        for (const side of [1, -1]) {
+            candidates.push({
+                id: `${shift}:${side}`,
+                x: point.x + perpX * offset * side,
+                y: point.y + perpY * offset * side
+            });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Candidate positions for a label beside a point: up and right first, then the other corners
+ * @param {number} x - Point position (pixels)
+ * @param {number} y - Point position (pixels)
+ * @param {number} width - Label width (pixels)
+ * @param {number} height - Label height (pixels)
+ * @returns {Object[]} { id, x, y } label centres
+ */
+function pointLabelCandidates(x, y, width, height) {
+    return [['ne', 1, -1], ['se', 1, 1], ['nw', -1, -1], ['sw', -1, 1]].map(([id, sx, sy]) => ({
+        id,
+        x: x + sx * (6 + width / 2),
+        y: y + sy * (4 + height / 2)
+    }));
+}
 
 export class SimpleChart {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         
-        // Set canvas size
-        const container = this.canvas.parentElement;
-        this.canvas.width = container.clientWidth;
-        this.canvas.height = container.clientHeight;
+        // Canvas size in CSS pixels; all drawing uses these, the backing store is
+        // scaled by the device pixel ratio underneath
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.updateCanvasSize();
         
         // Default parameters
         this.s = 2.0;
@@ -21,13 +163,36 @@ export class SimpleChart {
         this.axisMapping = new AxisMapping('default');
         
         // View state
-        this.currentView = 'speed'; // 'speed' or 'coeff'
-        this.coeffType = 'c'; // 'k' or 'c' - default to C coefficients
+        this.currentView = 'speed'; // Key of VIEWS the chart rests at
+        this.speedUnit = 'mph'; // Key of SPEED_UNITS, display only - physics stays in m/s
+        this.wind = { headwind: 0, updraft: 0 }; // m/s - the speed view plots ground-relative speeds
+        this.preferredCoeffType = 'c'; // 'k' or 'c' - coefficient view used when none is in the morph
         this.showGrid = true;
         
+        // Range, spacing and sampling of each grid line family
+        this.gridSettings = createGridSettings(this.speedUnit);
+        
+        // Glide ratio lines, each { id, ratio, color, label, quadrants }
+        this.nextGlideId = 1;
+        this.glideLines = DEFAULT_GLIDE_LINES.map(line => this.createGlideLine(line));
+        
         // Zoom state
         this.quadrantZoom = false; // Whether quadrant zoom is enabled
         
+        // User pan/zoom, applied on top of the quadrant zoom
+        this.view = { zoom: 1.0, panX: 0, panY: 0 };
+        this.dragState = null;
+        
+        // Cursor position for the hover readout (null when the mouse is off the chart)
+        this.hoverPoint = null;
+        this.lastUnprojected = null; // Last solved position under the cursor, seeding the next solve
+        this.hoverReadout = null; // Readout drawn for the cursor, passed on to linked charts
+        
+        // Charts showing the same datasets and settings with a linked cursor (split screen)
+        this.linkedCharts = [];
+        this.linkedSettingsKey = null; // Shared settings the grid was last built for
+        this.linkedHover = null; // Readout under the cursor in a linked chart
+        
         // Dataset manager reference (will be set from app.js)
         this.datasetManager = null;
         
@@ -37,9 +202,10 @@ export class SimpleChart {
             drag: '#27ae60',
             horizontal: '#3498db',
             vertical: '#e74c3c',
-            glide1: '#e74c3c',
-            glide2: '#f39c12',
-            glide3: '#27ae60',
+            totalSpeed: '#16a085',
+            glideAngle: '#d35400',
+            ldRatio: '#c0392b',
+            resultant: '#8e44ad',
             background: '#ffffff',
             legend: '#000000'
         };
@@ -54,61 +220,427 @@ export class SimpleChart {
             showInnerCoeffLabels: true,
             showOuterCoeffLabels: true,
             showSpeedLabels: true,
-            showGlideLabels: true
+            showGlideLabels: true,
+            showAoaLabels: true,
+            showPerformance: true,
+            // Iso-line overlays, off until asked for
+            showTotalSpeed: false,
+            showGlideAngle: false,
+            showLdRatio: false,
+            showResultant: false,
+            showTotalSpeedLabels: true,
+            showGlideAngleLabels: true,
+            showLdRatioLabels: true,
+            showResultantLabels: true
         };
         
         // Animation state
         this.isAnimating = false;
-        this.animationProgress = 0; // 0 = speed view, 1 = coeff view
+        this.morphFrom = 'speed'; // Keys of VIEWS the morph runs between
+        this.morphTo = 'coeffC';
+        this.animationProgress = 0; // 0 = morphFrom, 1 = morphTo
+        this.animationTarget = null; // View the last animation was heading to, kept while paused
+        this.pendingView = null; // View to carry on to once the running animation ends
+        this.animationFrame = null;
+        this.animationDuration = 6000; // milliseconds for a full morph
+        this.easing = 'expo'; // Key of EASINGS
+        this.morphMode = 'linear'; // Key of MORPH_MODES
+        
+        // Called with { progress, isAnimating, target } whenever the morph state changes
+        this.onAnimationUpdate = null;
+        
+        // Keeps line and dataset labels apart, and in place from frame to frame
+        this.labelPlacer = new LabelPlacer();
         
         // Generate and store all lines
         this.generateGrid();
         
+        // Mouse pan and zoom
+        this.setupInteraction();
+        
+        // Follow container resizes and pixel ratio changes
+        this.observeResize();
+        
         // Initial draw
         this.render();
     }
     
-    switchCoordinateSystem() {
-        if (this.isAnimating) {
+    /**
+     * Wheel zoom around the cursor, drag to pan, double-click to fit visible datasets
+     */
+    setupInteraction() {
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const { x, y } = this.getCanvasPoint(e);
+            this.zoomAt(x, y, Math.exp(-e.deltaY * WHEEL_ZOOM_RATE));
+        }, { passive: false });
+        
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const { x, y } = this.getCanvasPoint(e);
+            this.dragState = { x, y, panX: this.view.panX, panY: this.view.panY };
+            this.hoverPoint = null;
+            this.canvas.style.cursor = 'grabbing';
+        });
+        
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.dragState) return;
+            this.hoverPoint = this.getCanvasPoint(e);
+            // The animation loop redraws every frame anyway
+            if (!this.isAnimating) this.render();
+        });
+        
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverPoint = null;
+            if (!this.isAnimating) this.render();
+        });
+        
+        // Track the drag on the window so it survives leaving the canvas
+        window.addEventListener('mousemove', (e) => {
+            if (!this.dragState) return;
+            const { x, y } = this.getCanvasPoint(e);
+            this.view.panX = this.dragState.panX + x - this.dragState.x;
+            this.view.panY = this.dragState.panY + y - this.dragState.y;
+            this.render();
+        });
+        
+        window.addEventListener('mouseup', () => {
+            if (!this.dragState) return;
+            this.dragState = null;
+            this.canvas.style.cursor = '';
+        });
+        
+        this.canvas.addEventListener('dblclick', (e) => {
+            e.preventDefault();
+            this.fitToData();
+        });
+    }
+    
+    /**
+     * Mouse event position in canvas pixels (CSS pixels, whatever the pixel ratio)
+     */
+    getCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.width / rect.width,
+            y: (e.clientY - rect.top) * this.height / rect.height
+        };
+    }
+    
+    /**
+     * Zoom by a factor keeping the given screen point fixed
+     * @param {number} x - Screen x (canvas pixels)
+     * @param {number} y - Screen y (canvas pixels)
+     * @param {number} factor - Zoom multiplier (> 1 zooms in)
+     */
+    zoomAt(x, y, factor) {
+        const zoom = Math.min(Math.max(this.view.zoom * factor, MIN_VIEW_ZOOM), MAX_VIEW_ZOOM);
+        const applied = zoom / this.view.zoom;
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        
+        // The user transform scales about the canvas center, so shift the pan
+        // to keep the point under the cursor in place
+        this.view.panX = (x - cx) - (x - cx - this.view.panX) * applied;
+        this.view.panY = (y - cy) - (y - cy - this.view.panY) * applied;
+        this.view.zoom = zoom;
+        this.render();
+    }
+    
+    /**
+     * Zoom and pan so every visible dataset fills the canvas at the current animation progress
+     * Resets the view when no datasets are visible
+     */
+    fitToData() {
+        const datasets = this.datasetManager ? this.datasetManager.getVisibleDatasets() : [];
+        const transform = this.getViewTransform(false);
+        let minX = Infinity, maxX = -Infinity;
+        let minY = Infinity, maxY = -Infinity;
+        
+        for (const dataset of datasets) {
+            for (let i = 0; i < dataset.speedData.length; i++) {
+                const { x, y } = this.projectPoint(dataset.speedData[i], dataset.coeffData[i], dataset.params, transform);
+                if (!isFinite(x) || !isFinite(y)) continue;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        
+        if (minX > maxX) {
+            this.resetView();
             return;
         }
         
-        const targetView = this.currentView === 'speed' ? 'coeff' : 'speed';
-        this.animateTransition(targetView);
+        // Single points or straight lines still get a sensible box
+        const width = Math.max(maxX - minX, 20);
+        const height = Math.max(maxY - minY, 20);
+        const zoom = Math.min(
+            this.width * FIT_PADDING / width,
+            this.height * FIT_PADDING / height
+        );
+        
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        this.view.zoom = Math.min(Math.max(zoom, MIN_VIEW_ZOOM), MAX_VIEW_ZOOM);
+        this.view.panX = -this.view.zoom * ((minX + maxX) / 2 - cx);
+        this.view.panY = -this.view.zoom * ((minY + maxY) / 2 - cy);
+        this.render();
+    }
+    
+    /**
+     * Clear the user pan and zoom
+     */
+    resetView() {
+        this.view = { zoom: 1.0, panX: 0, panY: 0 };
+        this.render();
+    }
+    
+    /**
+     * Morph to the other view of the pair; while animating, turn back instead
+     */
+    switchCoordinateSystem() {
+        this.animateTransition(this.getSwitchTarget());
     }
     
+    /**
+     * View the morph would switch to now
+     * @returns {string} Key of VIEWS
+     */
+    getSwitchTarget() {
+        const from = this.isAnimating ? this.animationTarget : this.currentView;
+        return from === this.morphFrom ? this.morphTo : this.morphFrom;
+    }
+    
+    /**
+     * View the chart is nearest to at a morph progress
+     * @param {number} progress - Morph progress (defaults to the current one)
+     * @returns {string} Key of VIEWS
+     */
+    getNearestView(progress = this.animationProgress) {
+        return progress >= 0.5 ? this.morphTo : this.morphFrom;
+    }
+    
+    /**
+     * Start a new morph pair, parked at its first view
+     * @param {string} fromView - Key of VIEWS at progress 0
+     * @param {string} toView - Key of VIEWS at progress 1
+     */
+    setMorphPair(fromView, toView) {
+        // Pairs without a coefficient view keep plotting the last coefficient type shown
+        this.preferredCoeffType = this.getCoeffType();
+        this.morphFrom = fromView;
+        this.morphTo = toView;
+        this.animationProgress = 0;
+        this.animationTarget = null;
+        this.currentView = fromView;
+    }
+    
+    /**
+     * Show a view straight away, without animating
+     * @param {string} view - Key of VIEWS
+     */
+    showView(view) {
+        if (!VIEWS[view]) return;
+        this.stopAnimation();
+        if (view !== this.morphFrom && view !== this.morphTo) {
+            this.setMorphPair(this.getNearestView(), view);
+        }
+        this.setAnimationProgress(view === this.morphTo ? 1 : 0);
+    }
+    
+    /**
+     * Morph towards a view, from the current progress
+     * A partial morph (resumed, reversed or from a scrubbed position) takes its share of the duration.
+     * A view outside the current pair starts a new pair from the view the chart rests at;
+     * mid-morph, the chart first finishes at the nearer view
+     * @param {string} targetView - Key of VIEWS
+     */
     animateTransition(targetView) {
-        this.isAnimating = true;
+        if (!VIEWS[targetView]) return;
+        this.stopAnimation();
+        
+        if (targetView !== this.morphFrom && targetView !== this.morphTo) {
+            if (this.animationProgress > 0 && this.animationProgress < 1) {
+                this.pendingView = targetView;
+                targetView = this.getNearestView();
+            } else {
+                this.setMorphPair(this.getNearestView(), targetView);
+            }
+        }
         
         const startProgress = this.animationProgress;
-        const targetProgress = targetView === 'coeff' ? 1 : 0;
-        const duration = 6000; // milliseconds
+        const targetProgress = targetView === this.morphTo ? 1 : 0;
+        const duration = this.animationDuration * Math.abs(targetProgress - startProgress);
+        const ease = EASINGS[this.easing].ease;
         const startTime = performance.now();
         
+        this.isAnimating = true;
+        this.animationTarget = targetView;
+        
         const animate = (currentTime) => {
             const elapsed = currentTime - startTime;
-            const t = Math.min(elapsed / duration, 1.0);
-            
-            // Apply easing
-            const easedT = easeInOutExpo(t);
+            const t = duration > 0 ? Math.min(elapsed / duration, 1.0) : 1.0;
             
             // Interpolate progress
-            this.animationProgress = startProgress + (targetProgress - startProgress) * easedT;
-            
-            // Redraw
-            this.render();
+            this.animationProgress = startProgress + (targetProgress - startProgress) * ease(t);
             
             if (t < 1.0) {
-                requestAnimationFrame(animate);
+                this.animationFrame = requestAnimationFrame(animate);
             } else {
                 // Animation complete
                 this.isAnimating = false;
+                this.animationFrame = null;
                 this.currentView = targetView;
                 this.animationProgress = targetProgress;
+                
+                // Carry on to a view picked mid-morph
+                if (this.pendingView) {
+                    this.animateTransition(this.pendingView);
+                    return;
+                }
             }
+            
+            // Redraw
+            this.render();
+            this.notifyAnimationUpdate();
         };
         
-        requestAnimationFrame(animate);
+        this.animationFrame = requestAnimationFrame(animate);
+        this.notifyAnimationUpdate();
+    }
+    
+    /**
+     * Cancel a running animation, leaving the morph where it is
+     */
+    stopAnimation() {
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.isAnimating = false;
+        this.pendingView = null;
+    }
+    
+    /**
+     * Play or pause the morph
+     * Playing continues towards the paused target, or morphs to the other view when at rest
+     */
+    togglePlayback() {
+        if (this.isAnimating) {
+            this.pause();
+            return;
+        }
+        
+        const targetProgress = this.animationTarget === this.morphTo ? 1 : 0;
+        if (this.animationTarget && this.animationProgress !== targetProgress) {
+            this.animateTransition(this.animationTarget);
+        } else {
+            this.switchCoordinateSystem();
+        }
+    }
+    
+    /**
+     * Stop the morph where it is; togglePlayback resumes it
+     */
+    pause() {
+        if (!this.isAnimating) return;
+        this.stopAnimation();
+        this.currentView = this.getNearestView();
+        this.notifyAnimationUpdate();
+    }
+    
+    /**
+     * Morph back the way the last animation came (or to the other view when at rest)
+     */
+    reverse() {
+        const target = this.animationTarget || this.getSwitchTarget();
+        this.animateTransition(target === this.morphTo ? this.morphFrom : this.morphTo);
+    }
+    
+    /**
+     * Park the morph at a position, stopping any animation
+     * @param {number} progress - 0 (morphFrom) to 1 (morphTo)
+     */
+    setAnimationProgress(progress) {
+        this.stopAnimation();
+        this.animationProgress = Math.min(Math.max(progress, 0), 1);
+        this.currentView = this.getNearestView();
+        this.render();
+        this.notifyAnimationUpdate();
+    }
+    
+    /**
+     * Set the duration of a full morph
+     * @param {number} duration - Milliseconds
+     */
+    setAnimationDuration(duration) {
+        if (duration > 0) {
+            this.animationDuration = duration;
+        }
+    }
+    
+    /**
+     * Set the easing curve of the morph
+     * @param {string} name - Key of EASINGS
+     */
+    setEasing(name) {
+        if (EASINGS[name]) {
+            this.easing = name;
+        }
+    }
+    
+    notifyAnimationUpdate() {
+        if (this.onAnimationUpdate) {
+            this.onAnimationUpdate({
+                progress: this.animationProgress,
+                isAnimating: this.isAnimating,
+                target: this.animationTarget,
+                from: this.morphFrom,
+                to: this.morphTo
+            });
+        }
+    }
+    
+    /**
+     * Coefficient type plotted by the morph: that of its coefficient view nearest the
+     * current progress, or the preferred type when neither end is a coefficient view
+     * @returns {string} 'c' or 'k'
+     */
+    getCoeffType() {
+        const nearest = this.getNearestView();
+        const other = nearest === this.morphTo ? this.morphFrom : this.morphTo;
+        const view = [VIEWS[nearest], VIEWS[other]].find(v => v.space === 'coeff');
+        return view ? view.coeffType : this.preferredCoeffType;
+    }
+    
+    /**
+     * Plot C or K coefficients: the coefficient views of the morph pair are swapped for
+     * the one of this type (a C to K pair parks at that type's end)
+     * @param {string} coeffType - 'c' or 'k'
+     */
+    setCoeffType(coeffType) {
+        const view = coeffViewFor(coeffType);
+        if (!view) return;
+        this.preferredCoeffType = coeffType;
+        
+        const swap = key => VIEWS[key].space === 'coeff' ? view : key;
+        const from = swap(this.morphFrom);
+        const to = swap(this.morphTo);
+        if (from === to) {
+            this.setAnimationProgress(this.morphTo === view ? 1 : 0);
+            return;
+        }
+        
+        this.morphFrom = from;
+        this.morphTo = to;
+        this.currentView = swap(this.currentView);
+        if (this.animationTarget) {
+            this.animationTarget = swap(this.animationTarget);
+        }
+        this.render();
+        this.notifyAnimationUpdate();
     }
     
     updateColors(colorUpdates) {
@@ -128,12 +660,12 @@ export class SimpleChart {
     }
     
     reset() {
-        if (this.isAnimating) return;
-        
-        this.currentView = 'speed';
-        this.animationProgress = 0;
+        this.view = { zoom: 1.0, panX: 0, panY: 0 };
+        this.stopAnimation();
+        this.setMorphPair('speed', coeffViewFor(this.preferredCoeffType));
         this.showGrid = true;
         this.render();
+        this.notifyAnimationUpdate();
     }
     
     /**
@@ -152,34 +684,176 @@ export class SimpleChart {
         return this.axisMapping.getPresetName();
     }
     
+    /**
+     * Set a custom axis mapping (see AxisMapping.setConfig)
+     * @throws {Error} If the mapping is not usable, leaving the current one in place
+     */
+    setAxisConfig(config) {
+        this.axisMapping.setConfig(config);
+        this.generateGrid();
+        this.render();
+    }
+    
+    /**
+     * Get a copy of the current axis mapping
+     */
+    getAxisConfig() {
+        return structuredClone(this.axisMapping.getConfig());
+    }
+    
     // ========== Coordinate Calculation Helpers ==========
     
+    /**
+     * Get the current speed display unit definition
+     */
+    getSpeedUnit() {
+        return SPEED_UNITS[this.speedUnit];
+    }
+    
+    /**
+     * Set the speed display unit and rebuild the grid in that unit
+     * @param {string} unit - Key of SPEED_UNITS
+     */
+    setSpeedUnit(unit) {
+        if (!SPEED_UNITS[unit]) return;
+        this.speedUnit = unit;
+        // Speed families are in display units, so start from the new unit's defaults
+        Object.assign(this.gridSettings, createSpeedGridSettings(unit));
+        this.generateGrid();
+        this.render();
+    }
+    
+    /**
+     * Set the wind and vertical air motion, shifting the speed view to ground-relative speeds
+     * Invalid values are ignored
+     * @param {Object} wind - { headwind, updraft } in m/s; positive headwind opposes forward flight,
+     *   positive updraft lifts the air mass
+     */
+    setWind(wind) {
+        for (const key of ['headwind', 'updraft']) {
+            if (typeof wind[key] === 'number' && isFinite(wind[key])) this.wind[key] = wind[key];
+        }
+        // Metrics are judged in the same air mass the chart shows
+        if (this.datasetManager) this.datasetManager.setWind(this.wind);
+        this.generateGrid();
+        this.render();
+    }
+    
+    /**
+     * Whether the air mass is moving, so ground and air speeds differ
+     */
+    hasWind() {
+        return this.wind.headwind !== 0 || this.wind.updraft !== 0;
+    }
+    
+    /**
+     * Ground-relative sustained speeds of an air-relative speed point (both m/s)
+     * Vys is positive when descending, so an updraft reduces it
+     */
+    toGroundSpeed(speedPoint) {
+        return {
+            vxs: speedPoint.vxs - this.wind.headwind,
+            vys: speedPoint.vys - this.wind.updraft
+        };
+    }
+    
+    /**
+     * Get a copy of the grid settings
+     * @returns {Object} Families (speed in display units, coefficients in C units) and coeffRange
+     */
+    getGridSettings() {
+        return structuredClone(this.gridSettings);
+    }
+    
+    /**
+     * Update grid settings and rebuild the grid
+     * Invalid values are ignored
+     * @param {Object} updates - e.g. { lift: { minor: 0.1 }, coeffRange: 2 }
+     */
+    setGridSettings(updates) {
+        for (const [key, value] of Object.entries(updates)) {
+            if (key === 'coeffRange') {
+                if (value > 0 && isFinite(value)) this.gridSettings.coeffRange = value;
+            } else if (this.gridSettings[key]) {
+                Object.assign(this.gridSettings[key], validateFamily(value));
+            }
+        }
+        this.generateGrid();
+        this.render();
+    }
+    
+    /**
+     * Restore the default grid for the current speed unit
+     */
+    resetGridSettings() {
+        this.gridSettings = createGridSettings(this.speedUnit);
+        this.generateGrid();
+        this.render();
+    }
+    
+    /**
+     * Half-width of the speed view in display units (the larger speed family range)
+     */
+    getSpeedRange() {
+        return Math.max(this.gridSettings.speedHorizontal.range, this.gridSettings.speedVertical.range);
+    }
+    
+    /**
+     * Convert an air-relative speed point in m/s to ground-relative display units
+     */
+    toDisplaySpeed(speedPoint) {
+        const ground = this.toGroundSpeed(speedPoint);
+        return {
+            vxs: mpsToUnit(ground.vxs, this.speedUnit),
+            vys: mpsToUnit(ground.vys, this.speedUnit)
+        };
+    }
+    
+    /**
+     * Convert a ground-relative point in display units back to air-relative m/s
+     */
+    fromDisplaySpeed(displayPoint) {
+        return {
+            vxs: unitToMps(displayPoint.vxs, this.speedUnit) + this.wind.headwind,
+            vys: unitToMps(displayPoint.vys, this.speedUnit) + this.wind.updraft
+        };
+    }
+    
     /**
      * Calculate X coordinate in speed space using axis mapping
+     * @param {Object} speedPoint - Point with vxs, vys in m/s
+     * @param {AxisMapping} mapping - Mapping to plot through (defaults to the chart's)
      */
-    calcSpeedX(speedPoint) {
-        const cx = this.canvas.width / 2;
-        const halfWidth = this.canvas.width / 2;
-        return this.axisMapping.calcSpeedX(speedPoint, cx, halfWidth, 150);
+    calcSpeedX(speedPoint, mapping = this.axisMapping) {
+        const cx = this.width / 2;
+        const halfWidth = this.width / 2;
+        const range = this.getSpeedRange();
+        return mapping.calcSpeedX(this.toDisplaySpeed(speedPoint), cx, halfWidth, range);
     }
     
     /**
      * Calculate Y coordinate in speed space using axis mapping
+     * @param {Object} speedPoint - Point with vxs, vys in m/s
+     * @param {AxisMapping} mapping - Mapping to plot through (defaults to the chart's)
      */
-    calcSpeedY(speedPoint) {
-        const cy = this.canvas.height / 2;
-        const halfHeight = this.canvas.height / 2;
-        return this.axisMapping.calcSpeedY(speedPoint, cy, halfHeight, 150);
+    calcSpeedY(speedPoint, mapping = this.axisMapping) {
+        const cy = this.height / 2;
+        const halfHeight = this.height / 2;
+        const range = this.getSpeedRange();
+        return mapping.calcSpeedY(this.toDisplaySpeed(speedPoint), cy, halfHeight, range);
     }
     
     /**
      * Calculate X coordinate in coefficient space using axis mapping
+     * @param {Object} coeffPoint - Point with cl, cd
+     * @param {Object} params - Optional { rho, s, m } for K scaling (defaults to chart values)
+     * @param {string} coeffType - 'c' or 'k' (defaults to the morph's)
      */
-    calcCoeffX(coeffPoint) {
-        const cx = this.canvas.width / 2;
-        const halfWidth = this.canvas.width / 2;
-        const coeff = this.getCoeffValues(coeffPoint);
-        const range = this.getCoeffRange();
+    calcCoeffX(coeffPoint, params, coeffType = this.getCoeffType()) {
+        const cx = this.width / 2;
+        const halfWidth = this.width / 2;
+        const coeff = this.getCoeffValues(coeffPoint, params, coeffType);
+        const range = this.getCoeffRange(coeffType);
         // Build a point object with the converted coefficient values
         const point = { cd: coeff.cd, cl: coeff.cl };
         return this.axisMapping.calcCoeffX(point, cx, halfWidth, range, 'c');
@@ -187,12 +861,15 @@ export class SimpleChart {
     
     /**
      * Calculate Y coordinate in coefficient space using axis mapping
+     * @param {Object} coeffPoint - Point with cl, cd
+     * @param {Object} params - Optional { rho, s, m } for K scaling (defaults to chart values)
+     * @param {string} coeffType - 'c' or 'k' (defaults to the morph's)
      */
-    calcCoeffY(coeffPoint) {
-        const cy = this.canvas.height / 2;
-        const halfHeight = this.canvas.height / 2;
-        const coeff = this.getCoeffValues(coeffPoint);
-        const range = this.getCoeffRange();
+    calcCoeffY(coeffPoint, params, coeffType = this.getCoeffType()) {
+        const cy = this.height / 2;
+        const halfHeight = this.height / 2;
+        const coeff = this.getCoeffValues(coeffPoint, params, coeffType);
+        const range = this.getCoeffRange(coeffType);
         // Build a point object with the converted coefficient values
         const point = { cd: coeff.cd, cl: coeff.cl };
         return this.axisMapping.calcCoeffY(point, cy, halfHeight, range, 'c');
@@ -200,11 +877,12 @@ export class SimpleChart {
     
     /**
      * Convert coefficient point to K or C values based on coeffType
+     * Datasets pass their own params so their K values match their sustained speeds
      */
-    getCoeffValues(cp) {
-        if (this.coeffType === 'k') {
+    getCoeffValues(cp, params = this, coeffType = this.getCoeffType()) {
+        if (coeffType === 'k') {
             // Convert C to K: k = 0.5 * ρ * S / m, KL = CL * k / g, KD = CD * k / g
-            const k = 0.5 * this.rho * this.s / this.m;
+            const k = 0.5 * params.rho * params.s / params.m;
             const g = 9.8;
             return {
                 cd: cp.cd * k / g,
@@ -216,75 +894,61 @@ export class SimpleChart {
     }
     
     /**
-     * Get axis range for current coefficient type
+     * Get axis range for a coefficient type (defaults to the morph's)
      */
-    getCoeffRange() {
-        if (this.coeffType === 'k') {
+    getCoeffRange(coeffType = this.getCoeffType()) {
+        if (coeffType === 'k') {
             // K coefficients have smaller range
             const k = 0.5 * this.rho * this.s / this.m;
             const g = 9.8;
             const scale = k / g;
-            return scale; // Typical range is ±(1 * scale)
+            return this.gridSettings.coeffRange * scale; // Same range expressed in K
         }
-        return 1; // C coefficients range is ±1
+        return this.gridSettings.coeffRange; // C coefficients range is ±1 by default
     }
     
     /**
      * Get label text for a line based on current coeffType and axis mapping
      */
     getLineLabel(line) {
-        // For inner speed lines, use axis mapping labels
-        if (line.type === 'horizontal-inner' || line.type === 'horizontal') {
-            const label = this.axisMapping.getSpeedLabel('yAxis');
+        // Speed lines are labelled with their quantity's axis label (outer lines also carry the unit)
+        if (line.type === 'horizontal-inner' || line.type === 'vertical-inner') {
+            const label = this.axisMapping.getSpeedQuantityLabel(line.type === 'horizontal-inner' ? 'vys' : 'vxs');
             return `${label}=${line.labelValue}`;
         }
-        if (line.type === 'vertical-inner' || line.type === 'vertical') {
-            const label = this.axisMapping.getSpeedLabel('xAxis');
-            return `${label}=${line.labelValue}`;
+        if (line.type === 'horizontal' || line.type === 'vertical') {
+            const label = this.axisMapping.getSpeedQuantityLabel(line.type === 'horizontal' ? 'vys' : 'vxs');
+            return `${label}=${line.labelValue} ${this.getSpeedUnit().label}`;
+        }
+        if (line.type === 'speed-circle') {
+            const label = this.axisMapping.getSpeedQuantityLabel('vs');
+            return `${label}=${line.labelValue} ${this.getSpeedUnit().label}`;
         }
         
-        // For glide lines, return as-is
-        if (line.type === 'glide') {
-            return line.label;
+        // Constant flight-path angle and constant L/D angle are the same line
+        if (line.type === 'angle-ray') {
+            const label = !this.axisMapping.showsSpeedQuantity('theta') && this.axisMapping.showsCoeffQuantity('ldAngle')
+                ? this.axisMapping.getCoeffQuantityLabel('ldAngle', this.getCoeffType())
+                : this.axisMapping.getSpeedQuantityLabel('theta');
+            return `${label}=${line.labelValue}°`;
         }
         
-        // For coefficient lines, use axis mapping and convert if in K mode
-        if (line.type === 'coeff-horizontal') {
-            // Horizontal lines have constant Y-axis value
-            const value = line.labelValue;
-            const baseLabel = this.axisMapping.getCoeffLabel('yAxis', this.coeffType);
-            
-            if (this.coeffType === 'k') {
-                const k = 0.5 * this.rho * this.s / this.m;
-                const g = 9.8;
-                const kValue = value * k / g;
-                // Choose between milli and micro for readability
-                const milliValue = kValue * 1000;
-                if (Math.abs(milliValue) < 0.1 && milliValue !== 0) {
-                    const microValue = kValue * 1000000;
-                    return `${baseLabel}=${microValue.toFixed(1)}μ`;
-                }
-                return `${baseLabel}=${milliValue.toFixed(2)}m`;
-            }
-            return `${baseLabel}=${value.toFixed(1)}`;
+        // For glide lines and L/D rays, return as-is
+        if (line.type === 'glide' || line.type === 'ld-ray') {
+            return line.label;
         }
         
-        if (line.type === 'coeff-vertical') {
-            // Vertical lines have constant X-axis value
+        // For coefficient lines, use axis mapping and convert if in K mode
+        const coeffQuantity = COEFF_LINE_QUANTITIES[line.type];
+        if (coeffQuantity) {
             const value = line.labelValue;
-            const baseLabel = this.axisMapping.getCoeffLabel('xAxis', this.coeffType);
+            const coeffType = this.getCoeffType();
+            const baseLabel = this.axisMapping.getCoeffQuantityLabel(coeffQuantity, coeffType);
             
-            if (this.coeffType === 'k') {
+            if (coeffType === 'k') {
                 const k = 0.5 * this.rho * this.s / this.m;
                 const g = 9.8;
-                const kValue = value * k / g;
-                // Choose between milli and micro for readability
-                const milliValue = kValue * 1000;
-                if (Math.abs(milliValue) < 0.1 && milliValue !== 0) {
-                    const microValue = kValue * 1000000;
-                    return `${baseLabel}=${microValue.toFixed(1)}μ`;
-                }
-                return `${baseLabel}=${milliValue.toFixed(2)}m`;
+                return `${baseLabel}=${formatK(value * k / g)}`;
             }
             return `${baseLabel}=${value.toFixed(1)}`;
         }
@@ -292,636 +956,579 @@ export class SimpleChart {
         return line.label;
     }
     
+    /**
+     * Iso-line types drawn as the grid of a polar-form axis or of a view in the morph,
+     * whatever their overlay toggles say
+     * @returns {Set<string>}
+     */
+    getAxisGridTypes() {
+        const types = new Set([...VIEWS[this.morphFrom].grid, ...VIEWS[this.morphTo].grid]);
+        if (this.axisMapping.showsSpeedQuantity('vs')) {
+            types.add('speed-circle');
+        }
+        if (this.axisMapping.showsSpeedQuantity('theta') || this.axisMapping.showsCoeffQuantity('ldAngle')) {
+            types.add('angle-ray');
+        }
+        if (this.axisMapping.showsCoeffQuantity('cr')) {
+            types.add('coeff-circle');
+        }
+        return types;
+    }
+    
+    /**
+     * Whether the segment between two consecutive line points jumps across ±180° on an
+     * angle axis in a view that is currently visible
+     */
+    wrapsBetween(speedA, coeffA, speedB, coeffB) {
+        const visible = [];
+        if (this.animationProgress < 1) visible.push(VIEWS[this.morphFrom]);
+        if (this.animationProgress > 0) visible.push(VIEWS[this.morphTo]);
+        return visible.some(view => view.space === 'speed'
+            ? view.getMapping(this).speedWraps(this.toGroundSpeed(speedA), this.toGroundSpeed(speedB))
+            : view.getMapping(this).coeffWraps(coeffA, coeffB));
+    }
+    
     generateGrid() {
         this.allLines = [];
+        this.labelPlacer.reset();
         
         // Get axis labels for speed grid
         const speedYLabel = this.axisMapping.getSpeedLabel('yAxis');
         const speedXLabel = this.axisMapping.getSpeedLabel('xAxis');
         
+        // Speed lines are laid out in display units, points are stored in m/s
+        const settings = this.gridSettings;
+        const xExtent = settings.speedVertical.range;
+        const yExtent = settings.speedHorizontal.range;
+        
         // Horizontal lines (constant Y-axis value in speed space)
-        for (let vys = -150; vys <= 150; vys += 30) {
-            const speedPoints = [];
-            const coeffPoints = [];
-            
-            for (let vxs = -150; vxs <= 150; vxs += 5) {
-                speedPoints.push({ vxs, vys });
-                
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints.push({ cl, cd });
-            }
-            
-            this.allLines.push({ 
-                speedPoints, 
-                coeffPoints, 
-                color: this.colors.vertical, 
+        for (const { value: vys, minor } of familyLineValues(settings.speedHorizontal)) {
+            const samples = sampleRange(-xExtent, xExtent, settings.speedHorizontal.sample);
+            this.allLines.push({
+                ...this.buildSpeedLine(samples.map(vxs => ({ vxs, vys }))),
+                color: this.colors.vertical,
                 type: 'horizontal',
                 label: `${speedYLabel}=${vys}`,
-                labelValue: vys
+                labelValue: vys,
+                minor,
+                showLabel: !minor
             });
         }
         
         // Vertical lines (constant X-axis value in speed space)
-        for (let vxs = -150; vxs <= 150; vxs += 30) {
-            const speedPoints = [];
-            const coeffPoints = [];
-            
-            for (let vys = -150; vys <= 150; vys += 5) {
-                speedPoints.push({ vxs, vys });
-                
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints.push({ cl, cd });
-            }
-            
-            this.allLines.push({ 
-                speedPoints, 
-                coeffPoints, 
-                color: this.colors.horizontal, 
+        for (const { value: vxs, minor } of familyLineValues(settings.speedVertical)) {
+            const samples = sampleRange(-yExtent, yExtent, settings.speedVertical.sample);
+            this.allLines.push({
+                ...this.buildSpeedLine(samples.map(vys => ({ vxs, vys }))),
+                color: this.colors.horizontal,
                 type: 'vertical',
                 label: `${speedXLabel}=${vxs}`,
-                labelValue: vxs
+                labelValue: vxs,
+                minor,
+                showLabel: !minor
             });
         }
         
-        // Inner horizontal speed lines (constant Y-axis value, -30 to 30)
-        for (let vys of [-30, -20, -10, 10, 20, 30]) {
-            const speedPoints = [];
-            const coeffPoints = [];
-            
-            for (let vxs = -150; vxs <= 150; vxs += 5) {
-                speedPoints.push({ vxs, vys });
-                
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints.push({ cl, cd });
-            }
-            
-            this.allLines.push({ 
-                speedPoints, 
-                coeffPoints, 
-                color: this.colors.vertical, 
+        // Inner speed lines in both directions, across the whole grid
+        const innerSpeeds = familyLineValues(settings.innerSpeeds).filter(({ value }) => value !== 0);
+        for (const { value, minor } of innerSpeeds) {
+            const xSamples = sampleRange(-xExtent, xExtent, settings.innerSpeeds.sample);
+            this.allLines.push({
+                ...this.buildSpeedLine(xSamples.map(vxs => ({ vxs, vys: value }))),
+                color: this.colors.vertical,
                 type: 'horizontal-inner',
-                label: `${speedYLabel}=${vys}`,
-                labelValue: vys
+                label: `${speedYLabel}=${value}`,
+                labelValue: value,
+                minor,
+                showLabel: !minor
             });
-        }
-        
-        // Inner vertical speed lines (constant X-axis value, -30 to 30)
-        for (let vxs of [-30, -20, -10, 10, 20, 30]) {
-            const speedPoints = [];
-            const coeffPoints = [];
-            
-            for (let vys = -150; vys <= 150; vys += 5) {
-                speedPoints.push({ vxs, vys });
-                
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints.push({ cl, cd });
-            }
             
-            this.allLines.push({ 
-                speedPoints, 
-                coeffPoints, 
-                color: this.colors.horizontal, 
+            const ySamples = sampleRange(-yExtent, yExtent, settings.innerSpeeds.sample);
+            this.allLines.push({
+                ...this.buildSpeedLine(ySamples.map(vys => ({ vxs: value, vys }))),
+                color: this.colors.horizontal,
                 type: 'vertical-inner',
-                label: `${speedXLabel}=${vxs}`,
-                labelValue: vxs
+                label: `${speedXLabel}=${value}`,
+                labelValue: value,
+                minor,
+                showLabel: !minor
             });
         }
         
-        // Get axis labels for coefficient grid
-        const coeffYLabel = this.axisMapping.getCoeffLabel('yAxis', 'c');
-        const coeffXLabel = this.axisMapping.getCoeffLabel('xAxis', 'c');
-        
-        // Coefficient horizontal lines (constant Y-axis value in coeff space)
-        for (let cl = -1.0; cl <= 1.0; cl += 0.2) {
-            // Main segment: CD from -1 to 1
-            let speedPoints = [];
-            let coeffPoints = [];
-            
-            for (let cd = -1.0; cd <= 1.0; cd += 0.05) {
-                coeffPoints.push({ cl, cd });
-                
-                // Convert from coefficient space to speed space
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
+        // Coefficient lines: dense (minor spacing) inside the coefficient range,
+        // major spacing beyond it for the small loops near the speed origin
+        this.generateCoeffFamily(settings.lift, 'coeff-horizontal', this.colors.lift,
+            (value, other) => ({ cl: value, cd: other }));
+        this.generateCoeffFamily(settings.drag, 'coeff-vertical', this.colors.drag,
+            (value, other) => ({ cl: other, cd: value }));
+        
+        // Glide ratio lines (through origin, in each line's chosen quadrants)
+        this.generateGlideLines(Math.max(xExtent, yExtent),
+            Math.min(settings.speedHorizontal.sample, settings.speedVertical.sample));
+        
+        // Iso-line overlays: circles of constant total speed and resultant coefficient,
+        // rays of constant glide angle and L/D
+        this.generateTotalSpeedCircles();
+        this.generateGlideAngleRays(Math.max(xExtent, yExtent));
+        this.generateLdRays();
+        this.generateResultantCircles();
+    }
+    
+    /**
+     * Circles of constant total sustained speed (constant resultant coefficient in coefficient space)
+     */
+    generateTotalSpeedCircles() {
+        const family = this.gridSettings.totalSpeed;
+        const unit = this.getSpeedUnit();
+        
+        for (const { value: speed, minor } of familyLineValues(family)) {
+            if (speed <= 0) continue;
+            const displayPoints = circleAngles(speed, family.sample)
+                .map(angle => ({ vxs: speed * Math.cos(angle), vys: speed * Math.sin(angle) }));
             this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.lift, // Purple for CL lines
-                type: 'coeff-horizontal',
-                label: `${coeffYLabel}=${cl.toFixed(1)}`,
-                labelValue: cl
+                ...this.buildSpeedLine(displayPoints),
+                color: this.colors.totalSpeed,
+                type: 'speed-circle',
+                label: `Vs=${speed} ${unit.label}`,
+                labelValue: speed,
+                minor,
+                showLabel: !minor
             });
-            
-            // Extended segments: CD from 0.95 to 10 (if cl != 0)
-            if (cl !== 0) {
-                speedPoints = [];
-                coeffPoints = [];
-                
-                for (let cd = 0.95; cd <= 10; cd += 0.1) {
-                    coeffPoints.push({ cl, cd });
-                    
-                    const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                    const vxs = mpsToMph(vxsMps);
-                    const vys = mpsToMph(vysMps);
-                    speedPoints.push({ vxs, vys });
-                }
-                
-                this.allLines.push({
-                    speedPoints,
-                    coeffPoints,
-                    color: this.colors.lift,
-                    type: 'coeff-horizontal',
-                    label: `CL=${cl.toFixed(1)}`,
-                    labelValue: cl
-                });
-                
-                // Extended segments: CD from -10 to -0.95
-                speedPoints = [];
-                coeffPoints = [];
-                
-                for (let cd = -10; cd <= -0.95; cd += 0.1) {
-                    coeffPoints.push({ cl, cd });
-                    
-                    const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                    const vxs = mpsToMph(vxsMps);
-                    const vys = mpsToMph(vysMps);
-                    speedPoints.push({ vxs, vys });
-                }
-                
-                this.allLines.push({
-                    speedPoints,
-                    coeffPoints,
-                    color: this.colors.lift,
-                    type: 'coeff-horizontal',
-                    label: `CL=${cl.toFixed(1)}`,
-                    labelValue: cl
-                });
-            }
         }
+    }
+    
+    /**
+     * Rays of constant flight-path angle, measured from +Vxs towards +Vys
+     * @param {number} range - Speed grid extent (display units)
+     */
+    generateGlideAngleRays(range) {
+        const family = this.gridSettings.glideAngle;
         
-        // Coefficient vertical lines (constant CD)
-        for (let cd = -1.0; cd <= 1.0; cd += 0.2) {
-            // Main segment: CL from -1 to 1
-            let speedPoints = [];
-            let coeffPoints = [];
+        for (const { value: angle, minor } of familyLineValues(family)) {
+            // -180 and 180 are the same ray
+            if (angle <= -180) continue;
             
-            for (let cl = -1.0; cl <= 1.0; cl += 0.05) {
-                coeffPoints.push({ cl, cd });
-                
-                // Convert from coefficient space to speed space
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
+            const radians = angle * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            // Length where the ray leaves the square grid
+            const length = range / Math.max(Math.abs(cos), Math.abs(sin));
+            const displayPoints = sampleRange(0, length, family.sample).slice(1)
+                .map(distance => ({ vxs: distance * cos, vys: distance * sin }));
             
             this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.drag,
-                type: 'coeff-vertical',
-                label: `CD=${cd.toFixed(1)}`,
-                labelValue: cd
+                ...this.buildRayLine(displayPoints),
+                color: this.colors.glideAngle,
+                type: 'angle-ray',
+                label: `θ=${angle}°`,
+                labelValue: angle,
+                minor,
+                showLabel: !minor
             });
-            
-            // Extended segments: CL from 0.95 to 10 (if cd != 0)
-            if (cd !== 0) {
-                speedPoints = [];
-                coeffPoints = [];
-                
-                for (let cl = 0.95; cl <= 10; cl += 0.1) {
-                    coeffPoints.push({ cl, cd });
-                    
-                    const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                    const vxs = mpsToMph(vxsMps);
-                    const vys = mpsToMph(vysMps);
-                    speedPoints.push({ vxs, vys });
-                }
-                
-                this.allLines.push({
-                    speedPoints,
-                    coeffPoints,
-                    color: this.colors.drag,
-                    type: 'coeff-vertical',
-                    label: `CD=${cd.toFixed(1)}`,
-                    labelValue: cd
-                });
-                
-                // Extended segments: CL from -10 to -0.95
-                speedPoints = [];
-                coeffPoints = [];
-                
-                for (let cl = -10; cl <= -0.95; cl += 0.1) {
-                    coeffPoints.push({ cl, cd });
-                    
-                    const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                    const vxs = mpsToMph(vxsMps);
-                    const vys = mpsToMph(vysMps);
-                    speedPoints.push({ vxs, vys });
-                }
-                
+        }
+    }
+    
+    /**
+     * Rays of constant L/D in every quadrant, sampled in coefficient space out to the coefficient grid
+     */
+    generateLdRays() {
+        const family = this.gridSettings.ldRatio;
+        const extent = Math.max(this.gridSettings.lift.range, this.gridSettings.drag.range);
+        
+        for (const { value: ratio, minor } of familyLineValues(family)) {
+            if (ratio <= 0) continue;
+            
+            // Unit direction in (CL, CD), then one ray per quadrant
+            const norm = Math.hypot(ratio, 1);
+            for (const sign of Object.values(GLIDE_QUADRANTS)) {
+                // Zero resultant coefficient is infinite speed, so start one sample out
+                const coeffPoints = sampleRange(0, extent, family.sample).slice(1)
+                    .map(magnitude => ({ cl: sign.vxs * magnitude * ratio / norm, cd: sign.vys * magnitude / norm }));
                 this.allLines.push({
-                    speedPoints,
-                    coeffPoints,
-                    color: this.colors.drag,
-                    type: 'coeff-vertical',
-                    label: `CD=${cd.toFixed(1)}`,
-                    labelValue: cd
+                    ...this.buildCoeffLine(coeffPoints),
+                    color: this.colors.ldRatio,
+                    type: 'ld-ray',
+                    label: `L/D=${sign.vxs * sign.vys * ratio}`,
+                    labelValue: ratio,
+                    minor,
+                    showLabel: !minor
                 });
             }
         }
+    }
+    
+    /**
+     * Circles of constant resultant coefficient √(CL²+CD²) (constant total speed in speed space)
+     * Dense at minor spacing inside the coefficient range, major spacing beyond it
+     */
+    generateResultantCircles() {
+        const family = this.gridSettings.resultant;
+        const coeffRange = Math.min(this.gridSettings.coeffRange, family.range);
+        
+        const values = gridValues(coeffRange, family.minor || family.major)
+            .filter(value => value > 0 && value < coeffRange);
+        values.push(coeffRange);
+        for (const value of gridValues(family.range, family.major)) {
+            if (value > coeffRange) values.push(value);
+        }
         
-        // Inner grid for canopy flight - extended coefficient range
-        // Coefficient horizontal lines (constant CL) from 1 to 10
-        for (let cl = 1; cl <= 10; cl += 1) {
-            // Quadrant 1: Positive CL, positive CD
-            let speedPoints = [];
-            let coeffPoints = [];
-            
-            for (let cd = 1; cd <= 10; cd += 0.1) {
-                coeffPoints.push({ cl, cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
+        for (const value of values) {
+            const inner = value >= coeffRange;
+            const labelled = !inner || value === coeffRange || value === family.range ||
+                isMultipleOf(value, family.major * 5);
+            const coeffPoints = circleAngles(value, family.sample)
+                .map(angle => ({ cl: value * Math.cos(angle), cd: value * Math.sin(angle) }));
             this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.lift,
-                type: 'coeff-horizontal',
-                label: `CL=${cl.toFixed(0)}`,
-                labelValue: cl
+                ...this.buildCoeffLine(coeffPoints),
+                color: this.colors.resultant,
+                type: 'coeff-circle',
+                label: `CR=${value}`,
+                labelValue: value,
+                inner,
+                showLabel: labelled
             });
+        }
+    }
+    
+    /**
+     * Add a line per glide ratio and quadrant
+     * @param {number} range - Speed grid extent (display units)
+     * @param {number} sample - Speed step along the line (display units)
+     */
+    generateGlideLines(range, sample) {
+        for (const { ratio, color, label, quadrants } of this.glideLines) {
+            // Horizontal speed where the ray leaves the grid (steep lines hit the Vys edge first)
+            const maxVxs = range * Math.min(1, ratio);
             
-            // Quadrant 2: Positive CL, negative CD
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cd = -10; cd <= -1; cd += 0.1) {
-                coeffPoints.push({ cl, cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.lift,
-                type: 'coeff-horizontal',
-                label: `CL=${cl.toFixed(0)}`,
-                labelValue: cl
-            });
-            
-            // Quadrant 3: Negative CL, negative CD
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cd = -10; cd <= -1; cd += 0.1) {
-                coeffPoints.push({ cl: -cl, cd });
+            for (const quadrant of quadrants) {
+                const sign = GLIDE_QUADRANTS[quadrant];
                 
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(-cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.lift,
-                type: 'coeff-horizontal',
-                label: `CL=${(-cl).toFixed(0)}`,
-                labelValue: -cl
-            });
-            
-            // Quadrant 4: Negative CL, positive CD
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cd = 1; cd <= 10; cd += 0.1) {
-                coeffPoints.push({ cl: -cl, cd });
+                // Start one sample out: the origin is at infinite coefficients
+                const displayPoints = sampleRange(0, maxVxs, sample).slice(1)
+                    .map(vxs => ({ vxs: sign.vxs * vxs, vys: sign.vys * vxs / ratio }));
                 
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(-cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
+                this.allLines.push({
+                    ...this.buildRayLine(displayPoints),
+                    color,
+                    type: 'glide',
+                    label: label || `${ratio}:1 glide`,
+                    labelValue: ratio
+                });
             }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.lift,
-                type: 'coeff-horizontal',
-                label: `CL=${(-cl).toFixed(0)}`,
-                labelValue: -cl
-            });
+        }
+    }
+    
+    /**
+     * Glide line with defaults filled in and a new id
+     * @param {Object} line - Partial { ratio, color, label, quadrants }
+     */
+    createGlideLine(line) {
+        return {
+            id: `glide-${this.nextGlideId++}`,
+            ratio: 1,
+            color: '#e67e22',
+            label: '',
+            quadrants: [1],
+            ...validateGlideLine(line)
+        };
+    }
+    
+    /**
+     * Get a copy of the glide lines
+     * @returns {Object[]} { id, ratio, color, label, quadrants }
+     */
+    getGlideLines() {
+        return this.glideLines.map(line => ({ ...line, quadrants: [...line.quadrants] }));
+    }
+    
+    /**
+     * Add a glide ratio line
+     * @param {Object} line - { ratio, color, label, quadrants }; an empty label shows "ratio:1 glide"
+     * @returns {string} The new line's id
+     */
+    addGlideLine(line) {
+        const glideLine = this.createGlideLine(line);
+        this.glideLines.push(glideLine);
+        this.generateGrid();
+        this.render();
+        return glideLine.id;
+    }
+    
+    /**
+     * Update a glide line's ratio, color, label or quadrants
+     * Invalid values are ignored
+     */
+    updateGlideLine(id, updates) {
+        const glideLine = this.glideLines.find(line => line.id === id);
+        if (!glideLine) return;
+        Object.assign(glideLine, validateGlideLine(updates));
+        this.generateGrid();
+        this.render();
+    }
+    
+    /**
+     * Remove a glide line
+     */
+    removeGlideLine(id) {
+        this.glideLines = this.glideLines.filter(line => line.id !== id);
+        this.generateGrid();
+        this.render();
+    }
+    
+    /**
+     * Speed and coefficient points for a line given in display speed units
+     * Display points are ground-relative, so with wind the speed grid and glide lines
+     * stay straight in the speed view and mark ground speeds and ground glide ratios
+     * @param {Object[]} displayPoints - { vxs, vys } in the current speed unit
+     * @param {Object} params - { rho, s, m } to convert with (defaults to the chart's)
+     * @returns {Object} { speedPoints (air-relative m/s), coeffPoints }
+     */
+    buildSpeedLine(displayPoints, params = this) {
+        const speedPoints = [];
+        const coeffPoints = [];
+        for (const point of displayPoints) {
+            const { vxs, vys } = this.fromDisplaySpeed(point);
+            speedPoints.push({ vxs, vys });
+            coeffPoints.push(ssToCoeff(vxs, vys, params.s, params.m, params.rho));
+        }
+        return { speedPoints, coeffPoints };
+    }
+    
+    /**
+     * Speed and coefficient points for a ray from the speed origin
+     * The ray is sampled in speed space out to the grid edge, then continued in
+     * coefficient space from there towards the origin, so in coefficient view it covers
+     * the whole constant L/D ray instead of stopping where the speed grid ends
+     * @param {Object[]} displayPoints - { vxs, vys } along the ray in the current speed unit, excluding the origin
+     * @param {Object} params - { rho, s, m } to convert with (defaults to the chart's)
+     * @returns {Object} { speedPoints (m/s), coeffPoints }
+     */
+    buildRayLine(displayPoints, params = this) {
+        const { speedPoints, coeffPoints } = this.buildSpeedLine(displayPoints, params);
+        
+        // Continue inward in coefficient space (stopping short of zero, which is infinite speed)
+        const edge = coeffPoints[coeffPoints.length - 1];
+        const edgeMagnitude = Math.hypot(edge.cl, edge.cd);
+        const outer = this.buildCoeffLine(sampleRange(edgeMagnitude, 0, this.gridSettings.lift.sample).slice(1, -1)
+            .map(magnitude => ({ cl: edge.cl * magnitude / edgeMagnitude, cd: edge.cd * magnitude / edgeMagnitude })), params);
+        
+        return {
+            speedPoints: speedPoints.concat(outer.speedPoints),
+            coeffPoints: coeffPoints.concat(outer.coeffPoints)
+        };
+    }
+    
+    /**
+     * Speed and coefficient points for a line given in coefficient space
+     * @param {Object[]} coeffPoints - { cl, cd }
+     * @param {Object} params - { rho, s, m } to convert with (defaults to the chart's)
+     * @returns {Object} { speedPoints (m/s), coeffPoints }
+     */
+    buildCoeffLine(coeffPoints, params = this) {
+        const speedPoints = coeffPoints.map(({ cl, cd }) => coeffToSS(cl, cd, params.s, params.m, params.rho));
+        return { speedPoints, coeffPoints };
+    }
+    
+    /**
+     * Add the lines of one coefficient family (constant CL or constant CD)
+     * Each line is split where the other coefficient crosses the coefficient range,
+     * so labels can go on one segment and the outer parts can be sampled coarser
+     * @param {Object} family - { range, major, minor, sample } in C units
+     * @param {string} type - 'coeff-horizontal' or 'coeff-vertical'
+     * @param {string} color - Line color
+     * @param {Function} toPoint - Maps (line value, other coefficient) to { cl, cd }
+     */
+    generateCoeffFamily(family, type, color, toPoint) {
+        const coeffRange = Math.min(this.gridSettings.coeffRange, family.range);
+        const axis = type === 'coeff-horizontal' ? 'yAxis' : 'xAxis';
+        const baseLabel = this.axisMapping.getCoeffLabel(axis, 'c');
+        
+        // Lines inside the coefficient range at minor spacing, beyond it at major spacing
+        const values = gridValues(coeffRange, family.minor || family.major)
+            .filter(value => Math.abs(value) < coeffRange);
+        values.push(-coeffRange, coeffRange);
+        for (const value of gridValues(family.range, family.major)) {
+            if (Math.abs(value) > coeffRange) values.push(value);
         }
         
-        // Coefficient vertical lines (constant CD) from 1 to 10
-        for (let cd = 1; cd <= 10; cd += 1) {
-            // Quadrant 1: Positive CD, positive CL
-            let speedPoints = [];
-            let coeffPoints = [];
-            
-            for (let cl = 1; cl <= 10; cl += 0.1) {
-                coeffPoints.push({ cl, cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
+        for (const value of values) {
+            const inner = Math.abs(value) >= coeffRange;
+            const absValue = Math.abs(value);
+            // Inner loops are labelled at the boundary, every fifth major line and the last one
+            const labelled = !inner || absValue === coeffRange || absValue === family.range ||
+                isMultipleOf(absValue, family.major * 5);
+            const line = {
+                color,
+                type,
+                label: `${baseLabel}=${value.toFixed(inner ? 0 : 1)}`,
+                labelValue: value,
+                inner
+            };
             
+            // Main segment inside the coefficient range
+            const mainSamples = sampleRange(-coeffRange, coeffRange, family.sample);
             this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.drag,
-                type: 'coeff-vertical',
-                label: `CD=${cd.toFixed(0)}`,
-                labelValue: cd
+                ...line,
+                ...this.buildCoeffLine(mainSamples.map(other => toPoint(value, other))),
+                showLabel: labelled && !inner
             });
             
-            // Quadrant 2: Positive CD, negative CL
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cl = -10; cl <= -1; cl += 0.1) {
-                coeffPoints.push({ cl, cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
+            // Extended segments out to the family range (not for the zero line, which runs through the speed origin)
+            if (value === 0 || family.range <= coeffRange) continue;
             
+            const outerSample = family.sample * 2;
+            const positive = sampleRange(coeffRange, family.range, outerSample);
+            const negative = sampleRange(-family.range, -coeffRange, outerSample);
             this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.drag,
-                type: 'coeff-vertical',
-                label: `CD=${cd.toFixed(0)}`,
-                labelValue: cd
+                ...line,
+                ...this.buildCoeffLine(positive.map(other => toPoint(value, other))),
+                showLabel: labelled && inner
             });
-            
-            // Quadrant 3: Negative CD, negative CL
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cl = -10; cl <= -1; cl += 0.1) {
-                coeffPoints.push({ cl, cd: -cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, -cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
             this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.drag,
-                type: 'coeff-vertical',
-                label: `CD=${(-cd).toFixed(0)}`,
-                labelValue: -cd
-            });
-            
-            // Quadrant 4: Negative CD, positive CL
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cl = 1; cl <= 10; cl += 0.1) {
-                coeffPoints.push({ cl, cd: -cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, -cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.drag,
-                type: 'coeff-vertical',
-                label: `CD=${(-cd).toFixed(0)}`,
-                labelValue: -cd
+                ...line,
+                ...this.buildCoeffLine(negative.map(other => toPoint(value, other))),
+                showLabel: false
             });
         }
+    }
+    
+    render() {
+        this.draw();
         
-        // Fill in the connecting segments for inner grid lines
-        // These connect the inner grid through the -1 to 1 region
-        
-        // For CL lines from 1-10, add segments where CD goes from -1 to 1
-        for (let cl = 1; cl <= 10; cl += 1) {
-            // Positive CL, CD from -1 to 1
-            let speedPoints = [];
-            let coeffPoints = [];
-            
-            for (let cd = -1; cd <= 1; cd += 0.05) {
-                coeffPoints.push({ cl, cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.lift,
-                type: 'coeff-horizontal',
-                label: `CL=${cl.toFixed(0)}`,
-                labelValue: cl
-            });
-            
-            // Negative CL, CD from -1 to 1
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cd = -1; cd <= 1; cd += 0.05) {
-                coeffPoints.push({ cl: -cl, cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(-cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.lift,
-                type: 'coeff-horizontal',
-                label: `CL=${(-cl).toFixed(0)}`,
-                labelValue: -cl
-            });
+        // Linked charts follow, except for the frames of this chart's own morph
+        if (!this.isAnimating) {
+            this.linkedCharts.forEach(other => other.followLinkedChart(this));
+        }
+    }
+    
+    /**
+     * Size the canvas to its container, with a backing store scaled for the device pixel ratio
+     * @returns {boolean} Whether the size or ratio changed
+     */
+    updateCanvasSize() {
+        const container = this.canvas.parentElement;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const pixelRatio = window.devicePixelRatio || 1;
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) {
+            return false;
         }
         
-        // For CD lines from 1-10, add segments where CL goes from -1 to 1
-        for (let cd = 1; cd <= 10; cd += 1) {
-            // Positive CD, CL from -1 to 1
-            let speedPoints = [];
-            let coeffPoints = [];
-            
-            for (let cl = -1; cl <= 1; cl += 0.05) {
-                coeffPoints.push({ cl, cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
-            }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.drag,
-                type: 'coeff-vertical',
-                label: `CD=${cd.toFixed(0)}`,
-                labelValue: cd
-            });
-            
-            // Negative CD, CL from -1 to 1
-            speedPoints = [];
-            coeffPoints = [];
-            
-            for (let cl = -1; cl <= 1; cl += 0.05) {
-                coeffPoints.push({ cl, cd: -cd });
-                
-                const { vxs: vxsMps, vys: vysMps } = coeffToSS(cl, -cd, this.s, this.m, this.rho);
-                const vxs = mpsToMph(vxsMps);
-                const vys = mpsToMph(vysMps);
-                speedPoints.push({ vxs, vys });
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        return true;
+    }
+    
+    /**
+     * Match the canvas size to its container, e.g. after the layout changes
+     * Pan, zoom and the morph are kept; a running animation redraws on its next frame
+     */
+    resizeToContainer() {
+        if (this.updateCanvasSize() && !this.isAnimating) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Resize with the container, and when the window moves to a screen with another pixel ratio
+     */
+    observeResize() {
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.resizeToContainer());
+            this.resizeObserver.observe(this.canvas.parentElement);
+        }
+        this.watchPixelRatio();
+    }
+    
+    /**
+     * Listen for the device pixel ratio leaving its current value (browser zoom, other screen)
+     * A resolution query only matches one ratio, so a new one is set up after each change
+     */
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resizeToContainer();
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+    
+    // ========== Linked Charts ==========
+    
+    /**
+     * Show another chart with the same datasets, parameters, axis mapping and grid, and
+     * link the two cursors. Each chart keeps its own view, morph and pan/zoom
+     * @param {SimpleChart} other - Chart to link
+     */
+    linkChart(other) {
+        if (other === this || this.linkedCharts.includes(other)) return;
+        other.axisMapping = this.axisMapping;
+        other.datasetManager = this.datasetManager;
+        this.linkedCharts.push(other);
+        other.linkedCharts.push(this);
+        other.followLinkedChart(this);
+    }
+    
+    /**
+     * Stop following another chart (it keeps the shared datasets and axis mapping)
+     * @param {SimpleChart} other - Chart linked with linkChart
+     */
+    unlinkChart(other) {
+        this.linkedCharts = this.linkedCharts.filter(chart => chart !== other);
+        other.linkedCharts = other.linkedCharts.filter(chart => chart !== this);
+        this.linkedHover = null;
+        other.linkedHover = null;
+    }
+    
+    /**
+     * Settings linked charts keep in step
+     * The axis mapping itself is shared; its config is included so a change rebuilds the grid
+     */
+    getSharedSettings() {
+        return {
+            s: this.s,
+            m: this.m,
+            rho: this.rho,
+            speedUnit: this.speedUnit,
+            wind: this.wind,
+            coeffType: this.getCoeffType(),
+            gridSettings: this.gridSettings,
+            glideLines: this.glideLines,
+            colors: this.colors,
+            visibility: this.visibility,
+            showGrid: this.showGrid,
+            quadrantZoom: this.quadrantZoom,
+            axisConfig: this.axisMapping.getConfig()
+        };
+    }
+    
+    /**
+     * Take on a linked chart's settings and cursor, then redraw
+     * Draws without notifying linked charts back, so two charts never ping-pong
+     * @param {SimpleChart} source - Chart that just rendered
+     */
+    followLinkedChart(source) {
+        const settings = source.getSharedSettings();
+        const key = JSON.stringify(settings);
+        source.linkedSettingsKey = key;
+        
+        // The grid only needs rebuilding when the shared settings changed
+        if (key !== this.linkedSettingsKey) {
+            this.linkedSettingsKey = key;
+            const { coeffType, axisConfig, ...state } = structuredClone(settings);
+            Object.assign(this, state);
+            this.generateGrid();
+            if (coeffType !== this.getCoeffType()) {
+                this.setCoeffType(coeffType);
             }
-            
-            this.allLines.push({
-                speedPoints,
-                coeffPoints,
-                color: this.colors.drag,
-                type: 'coeff-vertical',
-                label: `CD=${(-cd).toFixed(0)}`,
-                labelValue: -cd
-            });
         }
         
-        // Glide ratio lines (through origin in all four quadrants)
-        const glideRatios = [
-            { ratio: 1, color: this.colors.glide1, label: '1:1 glide' },
-            { ratio: 2, color: this.colors.glide2, label: '2:1 glide' },
-            { ratio: 3, color: this.colors.glide3, label: '3:1 glide' }
-        ];
-        
-        glideRatios.forEach(({ ratio, color, label }) => {
-            // Create four lines for four quadrants
-            // Each line goes from center outward
-            
-            // Quadrant 1: +VXS, +VYS (climbing right)
-            const speedPoints1 = [];
-            const coeffPoints1 = [];
-            for (let vxs = 0; vxs <= 150; vxs += 5) {
-                const vys = vxs / ratio;
-                speedPoints1.push({ vxs, vys });
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints1.push({ cl, cd });
-            }
-            
-            // Quadrant 2: -VXS, +VYS (climbing left)
-            const speedPoints2 = [];
-            const coeffPoints2 = [];
-            for (let vxs = 0; vxs >= -150; vxs -= 5) {
-                const vys = -vxs / ratio;
-                speedPoints2.push({ vxs, vys });
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints2.push({ cl, cd });
-            }
-            
-            // Quadrant 3: -VXS, -VYS (descending left)
-            const speedPoints3 = [];
-            const coeffPoints3 = [];
-            for (let vxs = 0; vxs >= -150; vxs -= 5) {
-                const vys = vxs / ratio;
-                speedPoints3.push({ vxs, vys });
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints3.push({ cl, cd });
-            }
-            
-            // Quadrant 4: +VXS, -VYS (descending right) - original quadrant
-            const speedPoints4 = [];
-            const coeffPoints4 = [];
-            for (let vxs = 0; vxs <= 150; vxs += 5) {
-                const vys = -vxs / ratio;
-                speedPoints4.push({ vxs, vys });
-                const vxsMps = mphToMps(vxs);
-                const vysMps = mphToMps(vys);
-                const { cl, cd } = ssToCoeff(vxsMps, vysMps, this.s, this.m, this.rho);
-                coeffPoints4.push({ cl, cd });
-            }
-            
-            // Add all four quadrant lines
-            this.allLines.push({
-                speedPoints: speedPoints1,
-                coeffPoints: coeffPoints1,
-                color: color,
-                type: 'glide',
-                label: label,
-                labelValue: ratio
-            });
-            
-            this.allLines.push({
-                speedPoints: speedPoints2,
-                coeffPoints: coeffPoints2,
-                color: color,
-                type: 'glide',
-                label: label,
-                labelValue: ratio
-            });
-            
-            this.allLines.push({
-                speedPoints: speedPoints3,
-                coeffPoints: coeffPoints3,
-                color: color,
-                type: 'glide',
-                label: label,
-                labelValue: ratio
-            });
-            
-            this.allLines.push({
-                speedPoints: speedPoints4,
-                coeffPoints: coeffPoints4,
-                color: color,
-                type: 'glide',
-                label: label,
-                labelValue: ratio
-            });
-        });
-    }
-    
-    render() {
+        this.linkedHover = source.hoverReadout;
         this.draw();
     }
     
@@ -987,6 +1594,278 @@ export class SimpleChart {
         return { offsetX, offsetY, scale };
     }
     
+    /**
+     * Screen transform combining the quadrant zoom with the user pan/zoom
+     * Applied to point coordinates instead of the context so line widths and text stay crisp
+     * @param {boolean} includeUser - Include the user pan/zoom (default true)
+     * @returns {Object} { scale, tx, ty } where screen = chart * scale + t
+     */
+    getViewTransform(includeUser = true) {
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        const zoom = this.getZoomTransform();
+        
+        // Same as translate(cx, cy), scale, translate(-cx + offset, -cy + offset)
+        let scale = zoom.scale;
+        let tx = cx + zoom.scale * (zoom.offsetX * this.width - cx);
+        let ty = cy + zoom.scale * (zoom.offsetY * this.height - cy);
+        
+        if (includeUser) {
+            // User zoom scales about the canvas center, then pans
+            scale *= this.view.zoom;
+            tx = cx + this.view.zoom * (tx - cx) + this.view.panX;
+            ty = cy + this.view.zoom * (ty - cy) + this.view.panY;
+        }
+        
+        return { scale, tx, ty };
+    }
+    
+    /**
+     * Screen position of a point, interpolated between the two views of the morph
+     * @param {Object} speedPoint - Point with vxs, vys in m/s
+     * @param {Object} coeffPoint - Point with cl, cd
+     * @param {Object} params - Optional { rho, s, m } for K scaling (defaults to chart values)
+     * @param {Object} transform - From getViewTransform (defaults to the one for this frame)
+     * @returns {Object} { x, y } in canvas pixels
+     */
+    projectPoint(speedPoint, coeffPoint, params, transform = this.viewTransform) {
+        const { x, y } = this.morphPosition(speedPoint, coeffPoint, params);
+        
+        return {
+            x: x * transform.scale + transform.tx,
+            y: y * transform.scale + transform.ty
+        };
+    }
+    
+    /**
+     * Chart position of a point at the current morph progress, following the morph mode
+     * @param {Object} speedPoint - { vxs, vys } in m/s
+     * @param {Object} coeffPoint - { cl, cd }
+     * @param {Object} params - Optional { rho, s, m } for K scaling (defaults to chart values)
+     * @returns {Object} { x, y } before the view transform
+     */
+    morphPosition(speedPoint, coeffPoint, params) {
+        const t = this.animationProgress;
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        const fromView = VIEWS[this.morphFrom];
+        const toView = VIEWS[this.morphTo];
+        
+        if (this.morphMode === 'exponent') {
+            const fromFrame = fromView.exponentFrame(this);
+            const toFrame = toView.exponentFrame(this);
+            
+            // Only a speed and a coefficient view without polar-form axes are members of
+            // the exponent family: anything else falls back to the straight path
+            if (fromFrame && toFrame && fromFrame.exponent !== toFrame.exponent) {
+                const [speedFrame, coeffFrame, n] = fromFrame.exponent < toFrame.exponent
+                    ? [fromFrame, toFrame, t]
+                    : [toFrame, fromFrame, 1 - t];
+                const offset = morphExponent(
+                    speedFrame.components(speedPoint, coeffPoint, params),
+                    coeffFrame.components(speedPoint, coeffPoint, params),
+                    speedFrame.matrix, coeffFrame.matrix, n
+                );
+                return { x: cx + offset[0] * cx, y: cy + offset[1] * cy };
+            }
+        }
+        
+        const fromPosition = fromView.position(this, speedPoint, coeffPoint, params);
+        const toPosition = toView.position(this, speedPoint, coeffPoint, params);
+        const from = { x: fromPosition.x - cx, y: fromPosition.y - cy };
+        const to = { x: toPosition.x - cx, y: toPosition.y - cy };
+        const offset = this.morphMode === 'origin' ? morphThroughOrigin(from, to, t) : morphLinear(from, to, t);
+        return { x: cx + offset.x, y: cy + offset.y };
+    }
+    
+    /**
+     * Set the path points take between the two views
+     * @param {string} mode - Key of MORPH_MODES
+     */
+    setMorphMode(mode) {
+        if (MORPH_MODES[mode]) {
+            this.morphMode = mode;
+            this.render();
+        }
+    }
+    
+    /**
+     * Sustained speeds under a screen position, inverting the current interpolated mapping
+     * Each view inverts directly; mid-transition the interpolated mapping is solved
+     * with Newton iteration seeded from both views' inverses and the previous solution
+     * @param {number} x - Screen x (canvas pixels)
+     * @param {number} y - Screen y (canvas pixels)
+     * @returns {Object|null} { vxs, vys } in m/s, or null when no solution is found
+     */
+    unprojectPoint(x, y) {
+        const { scale, tx, ty } = this.viewTransform || this.getViewTransform();
+        const target = { x: (x - tx) / scale, y: (y - ty) / scale };
+        const identity = { scale: 1, tx: 0, ty: 0 };
+        
+        // Chart-space distance between a speed point's projection and the target
+        const residual = (v) => {
+            const cp = ssToCoeff(v.vxs, v.vys, this.s, this.m, this.rho);
+            const p = this.projectPoint(v, cp, this, identity);
+            return { x: p.x - target.x, y: p.y - target.y };
+        };
+        
+        const fromView = VIEWS[this.morphFrom];
+        const toView = VIEWS[this.morphTo];
+        
+        const solve = seeds => seeds
+            .map(seed => this.solveNewton(seed, residual))
+            .filter(root => root && root.error < UNPROJECT_TOLERANCE);
+        
+        // The previous solution follows the cursor from frame to frame through the morph
+        const seeds = [fromView.invert(this, target.x, target.y), toView.invert(this, target.x, target.y)];
+        if (this.lastUnprojected) seeds.push(this.lastUnprojected);
+        let roots = solve(seeds);
+        
+        // Where the morph folds, several states land on the same pixel and Newton can
+        // stall in a local minimum; only then seed from the closest point of a coarse sweep
+        if (roots.length === 0) {
+            roots = solve([this.coarseSeed(residual)]);
+        }
+        
+        // Prefer the state that moves least during the morph: it is the one
+        // drawn nearest this position in both views
+        let best = null;
+        let bestTravel = Infinity;
+        for (const root of roots) {
+            const cp = ssToCoeff(root.vxs, root.vys, this.s, this.m, this.rho);
+            const from = fromView.position(this, root, cp, this);
+            const to = toView.position(this, root, cp, this);
+            const travel = Math.hypot(to.x - from.x, to.y - from.y);
+            if (travel < bestTravel) {
+                bestTravel = travel;
+                best = root;
+            }
+        }
+        
+        this.lastUnprojected = best ? { vxs: best.vxs, vys: best.vys } : null;
+        return this.lastUnprojected && { ...this.lastUnprojected };
+    }
+    
+    /**
+     * Closest sample of a sweep over direction and (logarithmic) total speed
+     * @param {Function} residual - Maps { vxs, vys } to a { x, y } error
+     * @returns {Object} { vxs, vys }
+     */
+    coarseSeed(residual) {
+        let best = { vxs: 0, vys: 0 };
+        let bestError = Infinity;
+        for (let a = 0; a < 72; a++) {
+            const angle = a * Math.PI / 36;
+            for (let v = 0.5; v < 500; v *= 1.25) {
+                const candidate = { vxs: v * Math.cos(angle), vys: v * Math.sin(angle) };
+                const r = residual(candidate);
+                const error = Math.hypot(r.x, r.y);
+                if (error < bestError) {
+                    bestError = error;
+                    best = candidate;
+                }
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Newton iteration with a finite-difference Jacobian and step halving
+     * @param {Object} seed - Starting { vxs, vys }
+     * @param {Function} residual - Maps { vxs, vys } to a { x, y } error
+     * @returns {Object|null} { vxs, vys, error }
+     */
+    solveNewton(seed, residual) {
+        let v = { vxs: seed.vxs, vys: seed.vys };
+        let r = residual(v);
+        let error = Math.hypot(r.x, r.y);
+        if (!isFinite(error)) return null;
+        
+        for (let iter = 0; iter < NEWTON_ITERATIONS && error > NEWTON_TOLERANCE; iter++) {
+            const h = 1e-6 * Math.max(1, Math.hypot(v.vxs, v.vys));
+            const rx = residual({ vxs: v.vxs + h, vys: v.vys });
+            const ry = residual({ vxs: v.vxs, vys: v.vys + h });
+            const j11 = (rx.x - r.x) / h;
+            const j21 = (rx.y - r.y) / h;
+            const j12 = (ry.x - r.x) / h;
+            const j22 = (ry.y - r.y) / h;
+            const det = j11 * j22 - j12 * j21;
+            if (!isFinite(det) || det === 0) break;
+            
+            const dvxs = -(j22 * r.x - j12 * r.y) / det;
+            const dvys = -(j11 * r.y - j21 * r.x) / det;
+            
+            // Halve the step until the residual shrinks
+            let improved = false;
+            for (let step = 1; step > 1e-3; step /= 2) {
+                const next = { vxs: v.vxs + step * dvxs, vys: v.vys + step * dvys };
+                const rn = residual(next);
+                const nextError = Math.hypot(rn.x, rn.y);
+                if (nextError < error) {
+                    v = next;
+                    r = rn;
+                    error = nextError;
+                    improved = true;
+                    break;
+                }
+            }
+            if (!improved) break;
+        }
+        
+        return { vxs: v.vxs, vys: v.vys, error };
+    }
+    
+    /**
+     * Every quantity at a screen position, snapping to nearby dataset points
+     * @param {number} x - Screen x (canvas pixels)
+     * @param {number} y - Screen y (canvas pixels)
+     * @returns {Object|null} { x, y, vxs, vys, vs, glideRatio, glideAngle, groundVxs, groundVys,
+     *   groundGlideRatio, cl, cd, kl, kd, dataset, index } with air-relative speeds in m/s and the
+     *   screen position of the (snapped) point
+     */
+    getReadout(x, y) {
+        let readout = null;
+        
+        // Nearest visible dataset point within the snap radius
+        let nearest = HOVER_SNAP_RADIUS;
+        const datasets = this.datasetManager ? this.datasetManager.getVisibleDatasets() : [];
+        for (const dataset of datasets) {
+            for (let i = 0; i < dataset.speedData.length; i++) {
+                const p = this.projectPoint(dataset.speedData[i], dataset.coeffData[i], dataset.params);
+                const distance = Math.hypot(p.x - x, p.y - y);
+                if (distance <= nearest) {
+                    nearest = distance;
+                    const { vxs, vys } = dataset.speedData[i];
+                    const { cl, cd } = dataset.coeffData[i];
+                    readout = { x: p.x, y: p.y, vxs, vys, cl, cd, params: dataset.params, dataset, index: i };
+                }
+            }
+        }
+        
+        if (!readout) {
+            const speed = this.unprojectPoint(x, y);
+            if (!speed) return null;
+            const { cl, cd } = ssToCoeff(speed.vxs, speed.vys, this.s, this.m, this.rho);
+            readout = { x, y, vxs: speed.vxs, vys: speed.vys, cl, cd, params: this, dataset: null, index: null };
+        }
+        
+        const { params, ...values } = readout;
+        const { kl, kd } = coeffToK(values.cl, values.cd, params.s, params.m, params.rho);
+        const ground = this.toGroundSpeed(values);
+        
+        return {
+            ...values,
+            vs: Math.hypot(values.vxs, values.vys),
+            glideRatio: values.vxs / values.vys,
+            glideAngle: Math.atan2(values.vys, values.vxs) * 180 / Math.PI,
+            groundVxs: ground.vxs,
+            groundVys: ground.vys,
+            groundGlideRatio: ground.vxs / ground.vys,
+            kl,
+            kd
+        };
+    }
+    
     /**
      * Calculate data bounds for zoom fitting
      * Returns { scale, offsetX, offsetY } based on loaded data
@@ -997,11 +1876,13 @@ export class SimpleChart {
         let defaultOffsetX = -0.25;  // Speed view: bottom-right
         let defaultOffsetY = -0.25;
         
-        // Check if we're closer to speed view (t < 0.5) or coeff view (t >= 0.5)
-        const useSpeedView = animationProgress < 0.5;
+        // Fit the data as plotted by the view nearest this progress
+        const view = VIEWS[this.getNearestView(animationProgress)];
+        const mapping = view.getMapping(this);
+        const useSpeedView = view.space === 'speed';
         
         if (!this.datasetManager) {
-            // At coeff view (t >= 0.5), invert offsets for upper-left quadrant
+            // Coefficient views invert offsets for upper-left quadrant
             if (!useSpeedView) {
                 defaultOffsetX = 0.25;
                 defaultOffsetY = 0.25;
@@ -1011,7 +1892,7 @@ export class SimpleChart {
         
         const visibleDatasets = this.datasetManager.getVisibleDatasets();
         if (visibleDatasets.length === 0) {
-            // At coeff view (t >= 0.5), invert offsets for upper-left quadrant
+            // Coefficient views invert offsets for upper-left quadrant
             if (!useSpeedView) {
                 defaultOffsetX = 0.25;
                 defaultOffsetY = 0.25;
@@ -1023,14 +1904,16 @@ export class SimpleChart {
         let minY = Infinity, maxY = -Infinity;
         
         if (useSpeedView) {
-            // Use speed data bounds
-            const xValueName = this.axisMapping.getSpeedValueName('xAxis');
-            const yValueName = this.axisMapping.getSpeedValueName('yAxis');
+            // Use speed data bounds, with angle axes scaled so ±180° spans the speed range
+            const speedRange = this.getSpeedRange();
+            const xScale = speedRange / mapping.getSpeedAxisRange('xAxis', speedRange);
+            const yScale = speedRange / mapping.getSpeedAxisRange('yAxis', speedRange);
             
             for (const dataset of visibleDatasets) {
                 for (const point of dataset.speedData) {
-                    const xVal = point[xValueName];
-                    const yVal = point[yValueName];
+                    const displayPoint = this.toDisplaySpeed(point);
+                    const xVal = mapping.getSpeedValue(displayPoint, 'xAxis') * xScale;
+                    const yVal = mapping.getSpeedValue(displayPoint, 'yAxis') * yScale;
                     if (xVal > maxX) maxX = xVal;
                     if (xVal < minX) minX = xVal;
                     if (yVal > maxY) maxY = yVal;
@@ -1041,8 +1924,8 @@ export class SimpleChart {
             // Determine target quadrant based on axis reversals
             // Reversed axis: show positive values (offset negative)
             // Non-reversed axis: show positive values (offset negative)
-            const xReversed = this.axisMapping.isSpeedReversed('xAxis');
-            const yReversed = this.axisMapping.isSpeedReversed('yAxis');
+            const xReversed = mapping.isSpeedReversed('xAxis');
+            const yReversed = mapping.isSpeedReversed('yAxis');
             
             // Ensure we include the origin
             minX = Math.min(minX, 0);
@@ -1055,11 +1938,11 @@ export class SimpleChart {
             const rangeY = maxY;
             const maxRange = Math.max(rangeX, rangeY);
             
-            // Standard view shows ±150 mph, one quadrant shows 0 to 150
+            // Standard view shows ±range (150 mph), one quadrant shows 0 to range
             // Scale = how much we need to fit the data
             // If data goes to 150, scale = 2.0 (standard)
             // If data goes to 200, scale = 150/200 * 2.0 = 1.5 (zoom out more)
-            const standardQuadrantRange = 150;
+            const standardQuadrantRange = this.getSpeedRange();
             const scaleAdjustment = standardQuadrantRange / Math.max(maxRange, standardQuadrantRange);
             const scale = 2.0 * scaleAdjustment;
             
@@ -1075,16 +1958,16 @@ export class SimpleChart {
             return { scale, offsetX, offsetY };
         } else {
             // Use coefficient data bounds
-            const range = this.getCoeffRange();
-            const xValueName = this.axisMapping.getCoeffValueName('xAxis');
-            const yValueName = this.axisMapping.getCoeffValueName('yAxis');
+            const range = this.getCoeffRange(view.coeffType);
+            const xScale = range / mapping.getCoeffAxisRange('xAxis', range);
+            const yScale = range / mapping.getCoeffAxisRange('yAxis', range);
             
             for (const dataset of visibleDatasets) {
                 for (const point of dataset.coeffData) {
-                    const coeff = this.getCoeffValues(point);
-                    // Get the mapped value (cd or cl based on axis config)
-                    const xVal = coeff[xValueName.slice(1) === 'd' ? 'cd' : 'cl'];
-                    const yVal = coeff[yValueName.slice(1) === 'd' ? 'cd' : 'cl'];
+                    const coeff = this.getCoeffValues(point, dataset.params, view.coeffType);
+                    // Get the mapped value (angle axes scaled like the speed bounds)
+                    const xVal = mapping.getCoeffValue(coeff, 'xAxis', 'c') * xScale;
+                    const yVal = mapping.getCoeffValue(coeff, 'yAxis', 'c') * yScale;
                     if (xVal > maxX) maxX = xVal;
                     if (xVal < minX) minX = xVal;
                     if (yVal > maxY) maxY = yVal;
@@ -1093,8 +1976,8 @@ export class SimpleChart {
             }
             
             // Determine target quadrant based on axis reversals
-            const xReversed = this.axisMapping.isCoeffReversed('xAxis');
-            const yReversed = this.axisMapping.isCoeffReversed('yAxis');
+            const xReversed = mapping.isCoeffReversed('xAxis');
+            const yReversed = mapping.isCoeffReversed('yAxis');
             
             // Ensure we include the origin
             minX = Math.min(minX, 0);
@@ -1132,46 +2015,57 @@ export class SimpleChart {
             return { scale, offsetX, offsetY };
         }
     }
-
+    
     draw() {
+        // Draw in CSS pixels onto the scaled backing store
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        
         // Clear
         this.ctx.fillStyle = this.colors.background;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.width, this.height);
         
-        const cx = this.canvas.width / 2;
-        const cy = this.canvas.height / 2;
-        
-        // Get zoom transformation
-        const zoom = this.getZoomTransform();
+        const cx = this.width / 2;
+        const cy = this.height / 2;
         
-        // Apply zoom transformation
-        this.ctx.save();
-        this.ctx.translate(cx, cy);
-        this.ctx.scale(zoom.scale, zoom.scale);
-        this.ctx.translate(-cx + zoom.offsetX * this.canvas.width, -cy + zoom.offsetY * this.canvas.height);
+        // Quadrant zoom and user pan/zoom for this frame
+        this.viewTransform = this.getViewTransform();
+        const { scale, tx, ty } = this.viewTransform;
         
-        // Draw axes
+        // Draw axes through the (transformed) origin
+        const originX = cx * scale + tx;
+        const originY = cy * scale + ty;
         this.ctx.strokeStyle = '#666';
         this.ctx.lineWidth = 2;
         this.ctx.beginPath();
-        this.ctx.moveTo(0, cy);
-        this.ctx.lineTo(this.canvas.width, cy);
+        this.ctx.moveTo(0, originY);
+        this.ctx.lineTo(this.width, originY);
         this.ctx.stroke();
         this.ctx.beginPath();
-        this.ctx.moveTo(cx, 0);
-        this.ctx.lineTo(cx, this.canvas.height);
+        this.ctx.moveTo(originX, 0);
+        this.ctx.lineTo(originX, this.height);
         this.ctx.stroke();
         
         if (!this.showGrid) {
-            this.ctx.restore();
             this.drawLabels();
+            this.drawLinkedHover();
+            this.drawHoverReadout();
             return;
         }
         
-        // Draw grid with interpolation and collect label positions
-        const labelPositions = [];
+        // Draw grid with interpolation and collect labels for the placement pass
+        const labels = [];
+        
+        // Keep points within half a canvas of the visible area (in unzoomed terms)
+        // so zoomed-in segments still reach across the screen
+        const margin = this.width * 0.5 * Math.max(1, this.view.zoom);
         
-        this.allLines.forEach(line => {
+        // Iso-lines that are the grid of a polar-form axis or of a view in the morph are always drawn
+        const axisGridTypes = this.getAxisGridTypes();
+        const nearestView = VIEWS[this.getNearestView()];
+        const nearCoeffView = nearestView.space === 'coeff';
+        this.ctx.font = LINE_LABEL_FONT;
+        
+        this.allLines.forEach((line, lineIndex) => {
             const { speedPoints, coeffPoints, color, type } = line;
             const label = this.getLineLabel(line);
             
@@ -1183,74 +2077,44 @@ export class SimpleChart {
             if (type === 'coeff-horizontal' && !this.visibility.showLift) return;
             if (type === 'coeff-vertical' && !this.visibility.showDrag) return;
             if (type === 'glide' && !this.visibility.showGlide) return;
+            if (type === 'speed-circle' && !this.visibility.showTotalSpeed && !axisGridTypes.has(type)) return;
+            if (type === 'angle-ray' && !this.visibility.showGlideAngle && !axisGridTypes.has(type)) return;
+            if (type === 'ld-ray' && !this.visibility.showLdRatio) return;
+            if (type === 'coeff-circle' && !this.visibility.showResultant && !axisGridTypes.has(type)) return;
             
-            // Determine if we should show this label
-            // For inner grid (CL/CD from 1-10), only show labels at 1, 5 and 10
-            let showLabel = true;
-            const absValue = Math.abs(line.labelValue);
-            if (type === 'coeff-horizontal' || type === 'coeff-vertical') {
-                if (absValue >= 1 && absValue <= 10) {
-                    // Inner grid: only show labels for 1, 5 and 10
-                    showLabel = (absValue === 1 || absValue === 5 || absValue === 10);
-                    
-                    // Further filter: only show label on one segment per value
-                    // For horizontal lines (constant CL), only label the segment with positive CD values > 1
-                    // For vertical lines (constant CD), only label the segment with positive CL values > 1
-                    if (showLabel && type === 'coeff-horizontal') {
-                        // Check if this segment has CD > 1
-                        const hasPosCD = coeffPoints.some(cp => cp.cd > 1);
-                        showLabel = hasPosCD;
-                    } else if (showLabel && type === 'coeff-vertical') {
-                        // Check if this segment has CL > 1
-                        const hasPosCD = coeffPoints.some(cp => cp.cl > 1);
-                        showLabel = hasPosCD;
-                    }
-                } else if (absValue > 0 && absValue <= 1) {
-                    // Outer grid: also filter to only show label on main segment (CD or CL in -1 to 1 range)
-                    // For horizontal lines (constant CL), only label the segment with CD in [-1, 1]
-                    // For vertical lines (constant CD), only label the segment with CL in [-1, 1]
-                    if (type === 'coeff-horizontal') {
-                        // Check if this segment has CD values in the -1 to 1 range
-                        const inMainRange = coeffPoints.some(cp => Math.abs(cp.cd) <= 1);
-                        const inExtendedRange = coeffPoints.some(cp => Math.abs(cp.cd) > 1);
-                        // Only show label if this is the main segment (not extended)
-                        showLabel = inMainRange && !inExtendedRange;
-                    } else if (type === 'coeff-vertical') {
-                        // Check if this segment has CL values in the -1 to 1 range
-                        const inMainRange = coeffPoints.some(cp => Math.abs(cp.cl) <= 1);
-                        const inExtendedRange = coeffPoints.some(cp => Math.abs(cp.cl) > 1);
-                        // Only show label if this is the main segment (not extended)
-                        showLabel = inMainRange && !inExtendedRange;
-                    }
-                }
-                // absValue === 0 will show (default showLabel = true)
-            }
+            // Labelled lines and segments are chosen when the grid is generated
+            const showLabel = line.showLabel !== false;
             
+            // Minor lines are drawn thinner and fainter
             this.ctx.strokeStyle = color;
-            this.ctx.lineWidth = 2;
-            this.ctx.globalAlpha = 0.6;
+            this.ctx.lineWidth = line.minor ? 1 : 2;
+            this.ctx.globalAlpha = line.minor ? 0.3 : 0.6;
             this.ctx.beginPath();
             
             let started = false;
-            let labelX, labelY;
+            const projected = []; // Screen position of each drawn point, for label candidates
             const numPoints = Math.min(speedPoints.length, coeffPoints.length);
             
-            // Determine label position to avoid overlaps
+            // Preferred label position; the placement pass moves along the line from here on collisions
             // Speed lines (VXS/VYS): use 1/3 point
             // Coeff lines (CL/CD): use 2/3 point
             // Glide lines: use 0.85 in speed view (far out), 0.33 in coeff view
-            // Inner grid (1, 5, 10): place at crest of ellipse (on axes)
+            // Inner grid (beyond the coefficient range): place at crest of ellipse (on axes)
             let labelFraction;
             if (type === 'horizontal' || type === 'vertical') {
                 labelFraction = 0.33; // Speed lines at 1/3
-            } else if (type === 'glide') {
+            } else if (type === 'glide' || type === 'angle-ray') {
                 // In speed view, place labels far out; in coeff view, use closer in
-                labelFraction = this.animationProgress > 0.5 ? 0.33 : 0.85;
+                labelFraction = nearCoeffView ? 0.33 : 0.85;
+            } else if (type === 'speed-circle' || type === 'coeff-circle') {
+                // Circles start on the +Vxs axis: label them in the forward-gliding quadrant
+                labelFraction = 0.1;
+            } else if (type === 'ld-ray') {
+                // Sampled outward in coefficient space: out in coeff view, in near the speed origin
+                labelFraction = nearCoeffView ? 0.85 : 0.33;
             } else {
                 // Coefficient lines
-                const absValue = Math.abs(line.labelValue);
-                
-                if (absValue >= 1 && absValue <= 10) {
+                if (line.inner) {
                     // Inner grid: find the crest of the ellipse (where other coefficient is closest to 0)
                     let minDistance = Infinity;
                     let bestIndex = 0;
@@ -1267,12 +2131,6 @@ export class SimpleChart {
                             distanceToAxis = -Math.abs(cp.cl);
                         }
                         
-                        // For value = 1 or -1, only consider points very close to the axis (< 0.1)
-                        // to ensure we label at the axis crossing, not elsewhere
-                        if (absValue === 1 && distanceToAxis > 0.1) {
-                            continue;
-                        }
-                        
                         if (distanceToAxis < minDistance) {
                             minDistance = distanceToAxis;
                             bestIndex = i;
@@ -1291,62 +2149,17 @@ export class SimpleChart {
                 const sp = speedPoints[i];
                 const cp = coeffPoints[i];
                 
-                // Calculate speed space position using axis mapping
-                const x1 = this.calcSpeedX(sp);
-                const y1 = this.calcSpeedY(sp);
-                
-                // Calculate coeff space position using axis mapping
-                const x2 = this.calcCoeffX(cp);
-                const y2 = this.calcCoeffY(cp);
-                
-                // Create interpolation targets (may be mirrored)
-                let x2_interp = x2;
-                let y2_interp = y2;
-                
-                // DISABLED: Mirrored target logic for forcing interpolation through origin
-                /*
-                // Apply mirrored target logic to force interpolation through origin
-                // Check if point needs to cross origin (different quadrants)
-                const startQuadX = x1 - cx; // relative to center
-                const startQuadY = y1 - cy;
-                const targetQuadX = x2 - cx;
-                const targetQuadY = y2 - cy;
-                
-                // Determine if we should use mirrored target
-                // Mirror if starting and target are in different quadrants
-                const needsMirror = (startQuadX * targetQuadX < 0) || (startQuadY * targetQuadY < 0);
-                
-                if (needsMirror) {
-                    // Calculate mirrored target (swap x and y offsets from center)
-                    const x2_mirror = cx + (y2 - cy);
-                    const y2_mirror = cy + (x2 - cx);
-                    
-                    // Calculate current position if we were going to the mirrored target
-                    const x_test = x1 + (x2_mirror - x1) * this.animationProgress;
-                    const y_test = y1 + (y2_mirror - y1) * this.animationProgress;
-                    
-                    // Check if we've crossed to the opposite side of origin
-                    const currentQuadX = x_test - cx;
-                    const currentQuadY = y_test - cy;
-                    
-                    // If we're still on the same side as we started, use mirrored target
-                    const hasCrossed = (startQuadX * currentQuadX < 0) || (startQuadY * currentQuadY < 0);
-                    
-                    if (!hasCrossed) {
-                        x2_interp = x2_mirror;
-                        y2_interp = y2_mirror;
-                    }
+                // Don't join points on opposite edges of an angle axis
+                if (started && this.wrapsBetween(speedPoints[i - 1], coeffPoints[i - 1], sp, cp)) {
+                    started = false;
                 }
-                */
                 
-                // Interpolate between the two
-                const x = x1 + (x2_interp - x1) * this.animationProgress;
-                const y = y1 + (y2_interp - y1) * this.animationProgress;
+                // Position along the morph path, with the view transform applied
+                const { x, y } = this.projectPoint(sp, cp, this);
                 
                 // Only draw if point is within reasonable bounds (with margin for curves)
-                const margin = this.canvas.width * 0.5; // 50% margin
-                const inBounds = x > -margin && x < this.canvas.width + margin &&
-                                 y > -margin && y < this.canvas.height + margin;
+                const inBounds = x > -margin && x < this.width + margin &&
+                                 y > -margin && y < this.height + margin;
                 
                 if (isFinite(x) && isFinite(y) && inBounds) {
                     if (!started) {
@@ -1355,52 +2168,7 @@ export class SimpleChart {
                     } else {
                         this.ctx.lineTo(x, y);
                     }
-                    
-                    // Capture label position with perpendicular offset
-                    if (i === labelIndex) {
-                        let offsetX = 0;
-                        let offsetY = 0;
-                        
-                        // Calculate perpendicular offset based on line direction
-                        if (i > 0 && i < numPoints - 1) {
-                            const sp_prev = speedPoints[Math.max(0, i - 3)];
-                            const cp_prev = coeffPoints[Math.max(0, i - 3)];
-                            const x1_prev = this.calcSpeedX(sp_prev);
-                            const y1_prev = this.calcSpeedY(sp_prev);
-                            const x2_prev = this.calcCoeffX(cp_prev);
-                            const y2_prev = this.calcCoeffY(cp_prev);
-                            const x_prev = x1_prev + (x2_prev - x1_prev) * this.animationProgress;
-                            const y_prev = y1_prev + (y2_prev - y1_prev) * this.animationProgress;
-                            
-                            const sp_next = speedPoints[Math.min(numPoints - 1, i + 3)];
-                            const cp_next = coeffPoints[Math.min(numPoints - 1, i + 3)];
-                            const x1_next = this.calcSpeedX(sp_next);
-                            const y1_next = this.calcSpeedY(sp_next);
-                            const x2_next = this.calcCoeffX(cp_next);
-                            const y2_next = this.calcCoeffY(cp_next);
-                            const x_next = x1_next + (x2_next - x1_next) * this.animationProgress;
-                            const y_next = y1_next + (y2_next - y1_next) * this.animationProgress;
-                            
-                            // Tangent vector
-                            const dx = x_next - x_prev;
-                            const dy = y_next - y_prev;
-                            const len = Math.sqrt(dx * dx + dy * dy);
-                            
-                            if (len > 0) {
-                                // Perpendicular vector (rotated 90 degrees)
-                                const perpX = -dy / len;
-                                const perpY = dx / len;
-                                
-                                // Speed lines offset one way, coeff lines the other
-                                const offsetDist = (type === 'horizontal' || type === 'vertical') ? 15 : -15;
-                                offsetX = perpX * offsetDist;
-                                offsetY = perpY * offsetDist;
-                            }
-                        }
-                        
-                        labelX = x + offsetX;
-                        labelY = y + offsetY;
-                    }
+                    projected[i] = { x, y };
                 } else if (started) {
                     // Point is out of bounds, break the line
                     started = false;
@@ -1414,169 +2182,404 @@ export class SimpleChart {
             if (type === 'horizontal' || type === 'vertical') {
                 shouldShowLabel = shouldShowLabel && this.visibility.showSpeedLabels;
             } else if (type === 'coeff-horizontal') {
-                if (absValue >= 1) {
+                if (line.inner) {
                     shouldShowLabel = shouldShowLabel && this.visibility.showInnerCoeffLabels;
                 } else {
                     shouldShowLabel = shouldShowLabel && this.visibility.showOuterCoeffLabels;
                 }
             } else if (type === 'coeff-vertical') {
-                if (absValue >= 1) {
+                if (line.inner) {
                     shouldShowLabel = shouldShowLabel && this.visibility.showInnerCoeffLabels;
                 } else {
                     shouldShowLabel = shouldShowLabel && this.visibility.showOuterCoeffLabels;
                 }
             } else if (type === 'glide') {
                 shouldShowLabel = shouldShowLabel && this.visibility.showGlideLabels;
+            } else if (type === 'speed-circle') {
+                shouldShowLabel = shouldShowLabel && this.visibility.showTotalSpeedLabels;
+            } else if (type === 'angle-ray') {
+                shouldShowLabel = shouldShowLabel && this.visibility.showGlideAngleLabels;
+            } else if (type === 'ld-ray') {
+                shouldShowLabel = shouldShowLabel && this.visibility.showLdRatioLabels;
+            } else if (type === 'coeff-circle') {
+                shouldShowLabel = shouldShowLabel && this.visibility.showResultantLabels;
             }
             
-            // Store label position only if we should show this label
-            if (shouldShowLabel && labelX !== undefined && labelY !== undefined) {
-                labelPositions.push({ x: labelX, y: labelY, label, color, type });
+            if (shouldShowLabel) {
+                // Speed lines offset one way, coeff lines the other
+                const offset = (type === 'horizontal' || type === 'vertical') ? LABEL_LINE_OFFSET : -LABEL_LINE_OFFSET;
+                const candidates = lineLabelCandidates(projected, numPoints, labelIndex, offset, CLOSED_LINE_TYPES.has(type));
+                if (candidates.length > 0) {
+                    labels.push({
+                        key: `line:${lineIndex}`,
+                        text: label,
+                        font: LINE_LABEL_FONT,
+                        color,
+                        width: this.ctx.measureText(label).width,
+                        height: 11,
+                        priority: this.labelPriority(line, nearestView),
+                        candidates
+                    });
+                }
             }
         });
         
-        // Draw all labels after lines
         this.ctx.globalAlpha = 1.0;
-        this.ctx.font = 'bold 11px Arial';
+        
+        // Draw loaded datasets (their labels join the placement pass)
+        this.drawDatasets(labels);
+        
+        // Draw the labels that fit, after lines and datasets
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        
-        labelPositions.forEach(({ x, y, label, color, type }) => {
+        for (const { x, y, text, font, color } of this.labelPlacer.place(labels, { width: this.width, height: this.height })) {
             // Draw text without background for transparency
+            this.ctx.font = font;
             this.ctx.fillStyle = color;
-            this.ctx.fillText(label, x, y);
-        });
+            this.ctx.fillText(text, x, y);
+        }
         
-        this.ctx.globalAlpha = 1.0;
+        this.drawLabels();
+        this.drawLinkedHover();
+        this.drawHoverReadout();
+    }
+    
+    /**
+     * Crosshair and tooltip for the quantities under the cursor
+     */
+    drawHoverReadout() {
+        this.hoverReadout = null;
+        if (!this.hoverPoint) return;
+        
+        const readout = this.getReadout(this.hoverPoint.x, this.hoverPoint.y);
+        if (!readout) return;
+        this.hoverReadout = readout;
+        
+        const { x, y } = readout;
+        const unit = this.getSpeedUnit();
+        const speed = (mps) => `${mpsToUnit(mps, this.speedUnit).toFixed(1)} ${unit.label}`;
+        const ratio = (value) => isFinite(value) ? value.toFixed(2) : '∞';
+        
+        this.drawCrosshair(x, y);
+        
+        // Ring around a snapped dataset point
+        if (readout.dataset) {
+            this.ctx.strokeStyle = readout.dataset.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 7, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        
+        const lines = [
+            `Vxs: ${speed(readout.vxs)}`,
+            `Vys: ${speed(readout.vys)}`,
+            `Vs: ${speed(readout.vs)}`,
+            `Glide ratio: ${ratio(readout.glideRatio)}`,
+            `Glide angle: ${readout.glideAngle.toFixed(1)}°`,
+            `CL: ${readout.cl.toFixed(3)}`,
+            `CD: ${readout.cd.toFixed(3)}`,
+            `KL: ${formatK(readout.kl)}`,
+            `KD: ${formatK(readout.kd)}`
+        ];
+        // Air-relative values first, then what the ground sees
+        if (this.hasWind()) {
+            lines.splice(5, 0,
+                `Ground Vxs: ${speed(readout.groundVxs)}`,
+                `Ground Vys: ${speed(readout.groundVys)}`,
+                `Ground glide: ${ratio(readout.groundGlideRatio)}`);
+        }
+        if (readout.dataset) {
+            lines.unshift(`${readout.dataset.name} #${readout.index}`);
+        }
         
-        // Draw loaded datasets
-        this.drawDatasets();
+        // Tooltip box next to the cursor, flipped to stay on the canvas
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        const lineHeight = 16;
+        const padding = 6;
+        const boxWidth = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + padding * 2;
+        const boxHeight = lines.length * lineHeight + padding * 2;
+        let boxX = x + 14;
+        let boxY = y + 14;
+        if (boxX + boxWidth > this.width) boxX = x - 14 - boxWidth;
+        if (boxY + boxHeight > this.height) boxY = y - 14 - boxHeight;
+        
+        this.ctx.globalAlpha = 0.9;
+        this.ctx.fillStyle = this.colors.background;
+        this.ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        this.ctx.globalAlpha = 1.0;
+        this.ctx.strokeStyle = '#999';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
         
-        // Restore context (undo zoom transformation)
+        lines.forEach((line, i) => {
+            this.ctx.fillStyle = i === 0 && readout.dataset ? readout.dataset.color : this.colors.legend;
+            this.ctx.fillText(line, boxX + padding, boxY + padding + i * lineHeight);
+        });
+    }
+    
+    /**
+     * Dashed lines across the canvas through a screen position
+     */
+    drawCrosshair(x, y) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.legend;
+        this.ctx.globalAlpha = 0.4;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, y);
+        this.ctx.lineTo(this.width, y);
+        this.ctx.moveTo(x, 0);
+        this.ctx.lineTo(x, this.height);
+        this.ctx.stroke();
         this.ctx.restore();
+    }
+    
+    /**
+     * Mark the state under the cursor of a linked chart at its position in this one
+     */
+    drawLinkedHover() {
+        if (!this.linkedHover || this.hoverPoint) return;
         
-        this.drawLabels();
+        const { vxs, vys, cl, cd, dataset } = this.linkedHover;
+        const { x, y } = this.projectPoint({ vxs, vys }, { cl, cd }, dataset ? dataset.params : this);
+        if (!isFinite(x) || !isFinite(y)) return;
+        
+        this.drawCrosshair(x, y);
+        
+        // Ring in the dataset color, or the legend color for a grid position
+        this.ctx.strokeStyle = dataset ? dataset.color : this.colors.legend;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 7, 0, Math.PI * 2);
+        this.ctx.stroke();
+    }
+    
+    /**
+     * Which labels survive when they collide (higher wins)
+     * @param {Object} line - Grid line
+     * @param {Object} view - Nearest view, whose straight grid labels rank above the rest
+     * @returns {number}
+     */
+    labelPriority(line, view) {
+        // Inner coefficient ellipses rank with the inner speed lines
+        const base = line.inner ? 1 : (LABEL_PRIORITIES[line.type] || 0);
+        return view.grid.includes(line.type) ? base + VIEW_GRID_PRIORITY : base;
     }
     
-    drawDatasets() {
+    /**
+     * Draw the visible datasets
+     * @param {Object[]} labels - Label requests for the placement pass; AOA labels are added here
+     */
+    drawDatasets(labels) {
         if (!this.datasetManager) return;
         
-        const cx = this.canvas.width / 2;
-        const cy = this.canvas.height / 2;
-        const range = this.getCoeffRange();
-        
         const visibleDatasets = this.datasetManager.getVisibleDatasets();
         
         visibleDatasets.forEach(dataset => {
+            this.ctx.font = AOA_LABEL_FONT;
             this.ctx.strokeStyle = dataset.color;
             this.ctx.fillStyle = dataset.color;
             this.ctx.lineWidth = 3;
             this.ctx.globalAlpha = 0.8;
             
             // Draw line connecting points
-            this.ctx.beginPath();
-            let started = false;
+            this.traceLine(dataset.speedData, dataset.coeffData, dataset.params);
+            this.ctx.stroke();
             
-            for (let i = 0; i < dataset.speedData.length; i++) {
-                const speedPoint = dataset.speedData[i];
-                const coeffPoint = dataset.coeffData[i];
-                
-                // Calculate position in speed space using axis mapping
-                const x1 = this.calcSpeedX(speedPoint);
-                const y1 = this.calcSpeedY(speedPoint);
-                
-                // Calculate position in coefficient space using axis mapping
-                const x2 = this.calcCoeffX(coeffPoint);
-                const y2 = this.calcCoeffY(coeffPoint);
-                
-                // Interpolate between the two coordinate systems
-                const x = x1 + (x2 - x1) * this.animationProgress;
-                const y = y1 + (y2 - y1) * this.animationProgress;
-                
-                if (isFinite(x) && isFinite(y)) {
-                    if (!started) {
-                        this.ctx.moveTo(x, y);
-                        started = true;
-                    } else {
-                        this.ctx.lineTo(x, y);
-                    }
-                }
+            // Fitted model as a smooth dashed curve
+            if (dataset.fit && !dataset.fit.error) {
+                this.ctx.lineWidth = 2;
+                this.ctx.setLineDash([8, 4]);
+                this.traceLine(dataset.fit.speedData, dataset.fit.coeffData, dataset.params);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
             }
             
-            this.ctx.stroke();
-            
             // Draw points on top of the line
             this.ctx.globalAlpha = 1.0;
             for (let i = 0; i < dataset.speedData.length; i++) {
                 const speedPoint = dataset.speedData[i];
                 const coeffPoint = dataset.coeffData[i];
                 
-                // Calculate position in speed space using axis mapping
-                const x1 = this.calcSpeedX(speedPoint);
-                const y1 = this.calcSpeedY(speedPoint);
-                
-                // Calculate position in coefficient space using axis mapping
-                const x2 = this.calcCoeffX(coeffPoint);
-                const y2 = this.calcCoeffY(coeffPoint);
-                
-                // Interpolate between the two coordinate systems
-                const x = x1 + (x2 - x1) * this.animationProgress;
-                const y = y1 + (y2 - y1) * this.animationProgress;
+                // Interpolate between speed and coefficient space
+                const { x, y } = this.projectPoint(speedPoint, coeffPoint, dataset.params);
                 
                 if (isFinite(x) && isFinite(y)) {
                     this.ctx.beginPath();
                     this.ctx.arc(x, y, 4, 0, Math.PI * 2);
                     this.ctx.fill();
+                    
+                    // Label whole multiples of 5° AOA for polars that carry alpha
+                    if (this.visibility.showAoaLabels && coeffPoint.aoa !== undefined &&
+                        Math.abs(coeffPoint.aoa % 5) < 1e-6) {
+                        const text = `${coeffPoint.aoa}°`;
+                        const width = this.ctx.measureText(text).width;
+                        labels.push({
+                            key: `aoa:${dataset.id}:${i}`,
+                            text,
+                            font: AOA_LABEL_FONT,
+                            color: dataset.color,
+                            width,
+                            height: 10,
+                            priority: AOA_LABEL_PRIORITY,
+                            candidates: pointLabelCandidates(x, y, width, 10)
+                        });
+                    }
                 }
             }
+            
+            if (this.visibility.showPerformance && dataset.metrics) {
+                this.drawPerformancePoints(dataset, labels);
+            }
         });
         
         this.ctx.globalAlpha = 1.0;
     }
     
+    /**
+     * Path through a line's points (not stroked), broken where a point is not drawable
+     * or the line wraps across an angle axis
+     * @param {Object[]} speedPoints - { vxs, vys } in m/s
+     * @param {Object[]} coeffPoints - { cl, cd }
+     * @param {Object} params - { rho, s, m } of the line
+     */
+    traceLine(speedPoints, coeffPoints, params) {
+        this.ctx.beginPath();
+        let started = false;
+        
+        for (let i = 0; i < speedPoints.length; i++) {
+            const speedPoint = speedPoints[i];
+            const coeffPoint = coeffPoints[i];
+            
+            // Interpolate between speed and coefficient space
+            const { x, y } = this.projectPoint(speedPoint, coeffPoint, params);
+            
+            // Don't join points on opposite edges of an angle axis
+            if (started && this.wrapsBetween(speedPoints[i - 1], coeffPoints[i - 1], speedPoint, coeffPoint)) {
+                started = false;
+            }
+            
+            if (isFinite(x) && isFinite(y)) {
+                if (!started) {
+                    this.ctx.moveTo(x, y);
+                    started = true;
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Mark a dataset's best glide, minimum sink and maximum speed, with the best glide
+     * tangent from the origin
+     * With wind the metrics are ground-relative, and the tangent is the speed-to-fly
+     * construction: from the speed view's origin (still ground) to the shifted polar
+     * @param {Object} dataset - Dataset with metrics
+     * @param {Object[]} labels - Label requests for the placement pass
+     */
+    drawPerformancePoints(dataset, labels) {
+        const { bestGlide, minSink, maxSpeed } = dataset.metrics;
+        const unit = this.getSpeedUnit().label;
+        
+        // Tangent from the origin: the glide ray through the best glide point
+        if (bestGlide) {
+            const sample = Math.min(this.gridSettings.speedHorizontal.sample, this.gridSettings.speedVertical.sample);
+            const maxVxs = this.getSpeedRange() * Math.min(1, bestGlide.glideRatio);
+            const displayPoints = sampleRange(0, maxVxs, sample).slice(1)
+                .map(vxs => ({ vxs, vys: vxs / bestGlide.glideRatio }));
+            const tangent = this.buildRayLine(displayPoints, dataset.params);
+            
+            this.ctx.strokeStyle = dataset.color;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.globalAlpha = 0.8;
+            this.ctx.setLineDash([6, 4]);
+            this.traceLine(tangent.speedPoints, tangent.coeffPoints, dataset.params);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.globalAlpha = 1.0;
+        }
+        
+        const points = [
+            { key: 'bestGlide', state: bestGlide, text: state => `Best glide ${state.glideRatio.toFixed(2)}:1` },
+            { key: 'minSink', state: minSink, text: state => `Min sink ${mpsToUnit(state.groundVys, this.speedUnit).toFixed(1)} ${unit}` },
+            { key: 'maxSpeed', state: maxSpeed, text: state => `Max ${mpsToUnit(state.groundVxs, this.speedUnit).toFixed(1)} ${unit}` }
+        ];
+        
+        this.ctx.font = METRIC_LABEL_FONT;
+        for (const { key, state, text } of points) {
+            if (!state) continue;
+            // Metric states carry both their speeds and coefficients
+            const { x, y } = this.projectPoint(state, state, dataset.params);
+            if (!isFinite(x) || !isFinite(y)) continue;
+            
+            // Square marker, filled white so it stands out from the dataset points
+            this.ctx.fillStyle = 'white';
+            this.ctx.strokeStyle = dataset.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.fillRect(x - 6, y - 6, 12, 12);
+            this.ctx.strokeRect(x - 6, y - 6, 12, 12);
+            
+            const label = text(state);
+            const width = this.ctx.measureText(label).width;
+            labels.push({
+                key: `metric:${dataset.id}:${key}`,
+                text: label,
+                font: METRIC_LABEL_FONT,
+                color: dataset.color,
+                width,
+                height: 10,
+                priority: METRIC_LABEL_PRIORITY,
+                candidates: pointLabelCandidates(x, y, width, 10)
+            });
+        }
+    }
+    
     drawLabels() {
         this.ctx.fillStyle = this.colors.legend;
         this.ctx.font = 'bold 14px Arial';
         
         // Position legend on right side
-        const legendX = this.canvas.width - 500;
-        
-        // View label logic: 
-        // animationProgress = 0 means speed grid is straight (Speed View)
-        // animationProgress = 1 means coeff grid is straight (Coefficient View)
-        if (this.animationProgress > 0.5) {
-            // Coefficient space labels (coeff grid is straight/rectangular)
-            this.ctx.fillText('COEFFICIENT VIEW', legendX, 25);
-            this.ctx.font = '12px Arial';
-            
+        const legendX = this.width - 500;
+        
+        // Legend of the view the chart is nearest to (its grid is the straight one)
+        const view = VIEWS[this.getNearestView()];
+        this.ctx.fillText(view.title, legendX, 25);
+        this.ctx.font = '12px Arial';
+        
+        if (view.space === 'coeff') {
             // Use axis mapping for dynamic labels
-            const xAxisText = this.axisMapping.getAxisLegendText('coeff', 'xAxis', this.coeffType);
-            const yAxisText = this.axisMapping.getAxisLegendText('coeff', 'yAxis', this.coeffType);
+            const coeffRange = this.gridSettings.coeffRange;
+            const xAxisText = this.axisMapping.getAxisLegendText('coeff', 'xAxis', view.coeffType, undefined, coeffRange);
+            const yAxisText = this.axisMapping.getAxisLegendText('coeff', 'yAxis', view.coeffType, undefined, coeffRange);
             
             this.ctx.fillText(`X-axis: ${xAxisText}`, legendX, 45);
             this.ctx.fillText(`Y-axis: ${yAxisText}`, legendX, 65);
             this.ctx.fillText('Speed grid lines are curved in this view', legendX, 85);
             
             // Add K-coefficient units note
-            if (this.coeffType === 'K') {
+            if (view.coeffType === 'k') {
                 this.ctx.fillStyle = '#888';
                 this.ctx.fillText('KL, KD units: s²/m² (inverse velocity squared)', legendX, 105);
-                this.ctx.fillStyle = 'white'; // Reset fill style
             }
         } else {
-            // Speed space labels (speed grid is straight/rectangular)
-            this.ctx.fillText('SPEED VIEW', legendX, 25);
-            this.ctx.font = '12px Arial';
-            
-            // Use axis mapping for dynamic labels
-            const xAxisText = this.axisMapping.getAxisLegendText('speed', 'xAxis');
-            const yAxisText = this.axisMapping.getAxisLegendText('speed', 'yAxis');
-            const yLabel = this.axisMapping.getSpeedLabel('yAxis');
-            const xLabel = this.axisMapping.getSpeedLabel('xAxis');
+            // Use the view's axis mapping for dynamic labels
+            const mapping = view.getMapping(this);
+            const speedAxis = { ...this.getSpeedUnit(), range: this.getSpeedRange() };
+            const xAxisText = mapping.getAxisLegendText('speed', 'xAxis', 'c', speedAxis);
+            const yAxisText = mapping.getAxisLegendText('speed', 'yAxis', 'c', speedAxis);
             
             this.ctx.fillText(`X-axis: ${xAxisText}`, legendX, 45);
             this.ctx.fillText(`Y-axis: ${yAxisText}`, legendX, 65);
-            this.ctx.fillText(`Red = constant ${yLabel} | Blue = constant ${xLabel}`, legendX, 85);
+            if (view.grid.includes('horizontal')) {
+                const yLabel = mapping.getSpeedQuantityLabel('vys');
+                const xLabel = mapping.getSpeedQuantityLabel('vxs');
+                this.ctx.fillText(`Red = constant ${yLabel} | Blue = constant ${xLabel}`, legendX, 85);
+            }
         }
     }
 }
@@ -3,12 +3,85 @@
  * Handles parsing of coefficient data files and dataset management
  */
 
-import { coeffToSS, mpsToMph } from './utilities.js';
+import { parseObjectLiteral } from './objectLiteral.js';
+import { coeffToSS, ssToCoeff, mphToMps, motionToK, kToCoeff } from './utilities.js';
+import { computePerformance } from './metrics.js';
+import { fitPolar, POLAR_MODELS } from './polarModels.js';
+import { createPolarParams, validatePolarParams, generateParametricPolar } from './parametricPolar.js';
+import { checkTransforms, validateTransforms, transformCoeffData, transformParams } from './datasetTransforms.js';
+
+// Track samples slower than this (m/s) are on the ground or in the plane door
+const MIN_TRACK_SPEED = 5;
+
+// Samples on each side used when differentiating GPS velocities
+const TRACK_DIFF_WINDOW = 2;
+
+// Columns every FlySight track must provide
+const FLYSIGHT_COLUMNS = ['time', 'velN', 'velE', 'velD'];
+
+// Property names polar files use for reference area and mass
+const POLAR_AREA_KEYS = ['s', 'S', 'area', 'wingArea'];
+const POLAR_MASS_KEYS = ['m', 'mass'];
+
+// Delimiters tried when reading CSV/TSV tables
+const TABLE_DELIMITERS = [',', '\t', ';'];
+
+// Quantities a table column can be mapped to (first unit is the default)
+export const TABLE_QUANTITIES = {
+    ignore: { label: 'Ignore', units: ['none'], aliases: [] },
+    aoa: { label: 'AOA (deg)', units: ['deg'], aliases: ['aoa', 'alpha', 'angleofattack'] },
+    cl: { label: 'CL', units: ['none'], aliases: ['cl', 'lift', 'liftcoefficient'] },
+    cd: { label: 'CD', units: ['none'], aliases: ['cd', 'drag', 'dragcoefficient'] },
+    kl: { label: 'KL', units: ['s2m2'], aliases: ['kl'] },
+    kd: { label: 'KD', units: ['s2m2'], aliases: ['kd'] },
+    vxs: { label: 'VXS', units: ['mps', 'mph'], aliases: ['vxs', 'vx', 'vxsmph', 'vxsmps'] },
+    vys: { label: 'VYS', units: ['mps', 'mph'], aliases: ['vys', 'vy', 'vysmph', 'vysmps'] }
+};
+
+// Table units with scale factors to the units used internally (m/s, s²/m²)
+export const TABLE_UNITS = {
+    none: { label: '-', scale: 1 },
+    deg: { label: 'deg', scale: 1 },
+    s2m2: { label: 's²/m²', scale: 1 },
+    mps: { label: 'm/s', scale: 1 },
+    mph: { label: 'mph', scale: mphToMps(1) }
+};
+
+/**
+ * Find the first numeric property among candidate keys
+ * @param {Object} data - Parsed file object
+ * @param {Array} keys - Candidate property names
+ * @returns {number|null} The value, or null when none is a positive number
+ */
+function findNumber(data, keys) {
+    for (const key of keys) {
+        const value = Number(data[key]);
+        if (data[key] !== undefined && isFinite(value) && value > 0) {
+            return value;
+        }
+    }
+    return null;
+}
+
+/**
+ * Copy the fields the chart uses from a polar file point
+ * @param {Object} point - Point with cl, cd and optionally aoa/alpha
+ * @returns {Object} {cl, cd} (with aoa when present)
+ */
+function toCoeffPoint(point) {
+    const coeffPoint = { cl: point.cl, cd: point.cd };
+    const aoa = point.aoa ?? point.alpha;
+    if (typeof aoa === 'number') {
+        coeffPoint.aoa = aoa;
+    }
+    return coeffPoint;
+}
 
 export class DataSetManager {
     constructor() {
         this.datasets = new Map();
         this.nextId = 1;
+        this.wind = { headwind: 0, updraft: 0 };  // Air mass motion the metrics are judged in (m/s)
     }
 
     /**
@@ -17,37 +90,373 @@ export class DataSetManager {
      * @returns {Array} Array of {cl, cd} objects
      */
     parseStallpointData(fileContent) {
+        const polar = this.parsePolarFile(fileContent).polars.find(p => p.key === 'stallpoint');
+        
+        if (!polar) {
+            throw new Error('Failed to parse file: No stallpoint data found in file');
+        }
+        
+        return polar.coeffData;
+    }
+
+    /**
+     * Parse a polar file object with its name, reference area, mass and polar arrays
+     * Every array of {cl, cd} points (at any depth) becomes a named polar
+     * @param {string} fileContent - The text content of the file
+     * @returns {Object} { name, s, m, polars } where polars is an array of {key, coeffData}
+     */
+    parsePolarFile(fileContent) {
+        let data;
         try {
-            // Find the stallpoint array in the file (comma after array is optional)
-            const stallpointMatch = fileContent.match(/stallpoint:\s*\[(.*?)\]/s);
+            data = parseObjectLiteral(fileContent);
+        } catch (error) {
+            console.error('Error parsing polar file:', error);
+            throw new Error(`Failed to parse file: ${error.message}`);
+        }
+        
+        const polars = [];
+        const collect = (value, path) => {
+            if (Array.isArray(value)) {
+                const isPolar = value.length > 0 && value.every(point =>
+                    point && typeof point.cl === 'number' && typeof point.cd === 'number');
+                if (isPolar) {
+                    polars.push({ key: path.join('.'), coeffData: value.map(toCoeffPoint) });
+                }
+            } else if (value && typeof value === 'object') {
+                for (const [key, child] of Object.entries(value)) {
+                    collect(child, [...path, key]);
+                }
+            }
+        };
+        collect(data, []);
+        
+        if (polars.length === 0) {
+            throw new Error('Failed to parse file: No CL/CD polar arrays found in file');
+        }
+        
+        return {
+            name: typeof data.name === 'string' ? data.name : null,
+            s: findNumber(data, POLAR_AREA_KEYS),
+            m: findNumber(data, POLAR_MASS_KEYS),
+            polars
+        };
+    }
+
+    /**
+     * Detect the format of a data file
+     * @param {string} fileContent - The text content of the file
+     * @returns {string} 'flysight', 'xfoil', 'table' or 'polar'
+     */
+    detectFormat(fileContent) {
+        const head = fileContent.slice(0, 2000);
+        
+        // FlySight 2 tracks start with $FLYS and describe columns in $COL lines
+        if (/^\$(FLYS|COL),/m.test(head)) {
+            return 'flysight';
+        }
+        
+        // FlySight 1 tracks have a plain CSV header with the GPS columns
+        const firstLine = head.split(/\r?\n/, 1)[0];
+        const columns = firstLine.split(',').map(c => c.trim());
+        if (FLYSIGHT_COLUMNS.every(c => columns.includes(c))) {
+            return 'flysight';
+        }
+        
+        // XFOIL/XFLR5 polar output has a title line and an alpha/CL/CD table header
+        if (/Calculated polar for:/i.test(head) || /^\s*alpha\s+CL\s+CD\b/m.test(head)) {
+            return 'xfoil';
+        }
+        
+        // Polar files are object literals with cl/cd keys, anything else is a delimited table
+        if (!/["']?\bcl["']?\s*:/.test(fileContent)) {
+            return 'table';
+        }
+        
+        return 'polar';
+    }
+
+    /**
+     * Parse a FlySight 1 or FlySight 2 track file
+     * @param {string} fileContent - The text content of the CSV file
+     * @returns {Array} Array of {time, vx, vy, hMSL} samples (seconds, m/s, m)
+     */
+    parseFlySightData(fileContent) {
+        const lines = fileContent.split(/\r?\n/);
+        const samples = [];
+        let columns = null;
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '') continue;
+            
+            const fields = line.split(',').map(f => f.trim());
+            let values;
             
-            if (!stallpointMatch) {
-                throw new Error('No stallpoint data found in file');
+            if (line.startsWith('$')) {
+                // FlySight 2: $COL,GNSS,<names...> defines columns, $GNSS,<values...> holds data
+                if (fields[0] === '$COL' && fields[1] === 'GNSS') {
+                    columns = fields.slice(2);
+                }
+                if (fields[0] !== '$GNSS') continue;
+                values = fields.slice(1);
+            } else if (!columns) {
+                // FlySight 1: first line is the header, second line holds units
+                columns = fields;
+                i++;
+                continue;
+            } else {
+                values = fields;
             }
+            
+            if (!columns) continue;
+            
+            const row = {};
+            columns.forEach((name, index) => {
+                row[name] = values[index];
+            });
+            
+            const time = Date.parse(row.time) / 1000;
+            const velN = parseFloat(row.velN);
+            const velE = parseFloat(row.velE);
+            const velD = parseFloat(row.velD);
+            
+            if (!isFinite(time) || !isFinite(velN) || !isFinite(velE) || !isFinite(velD)) {
+                continue;
+            }
+            
+            samples.push({
+                time: time,
+                vx: Math.sqrt(velN * velN + velE * velE),
+                vy: velD,
+                hMSL: parseFloat(row.hMSL)
+            });
+        }
+        
+        if (!columns || !FLYSIGHT_COLUMNS.every(c => columns.includes(c))) {
+            throw new Error('Missing FlySight columns (time, velN, velE, velD)');
+        }
+        
+        if (samples.length < 2 * TRACK_DIFF_WINDOW + 1) {
+            throw new Error('Not enough track samples in file');
+        }
+        
+        return samples;
+    }
 
-            // Extract the array content
-            const arrayContent = '[' + stallpointMatch[1] + ']';
+    /**
+     * Differentiate track velocities and solve the equations of motion for K-coefficients
+     * @param {Array} samples - Array of {time, vx, vy} samples from parseFlySightData
+     * @returns {Array} Array of {time, vx, vy, ax, ay, kl, kd} points
+     */
+    computeTrackCoefficients(samples) {
+        const trackData = [];
+        
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const speed = Math.sqrt(sample.vx * sample.vx + sample.vy * sample.vy);
+            
+            // Skip ground, aircraft door and other slow samples where the equations blow up
+            if (speed < MIN_TRACK_SPEED) continue;
             
-            // Parse the JSON array
-            const data = JSON.parse(arrayContent);
+            // Central difference, one-sided at the ends of the track
+            const prev = samples[Math.max(0, i - TRACK_DIFF_WINDOW)];
+            const next = samples[Math.min(samples.length - 1, i + TRACK_DIFF_WINDOW)];
+            const dt = next.time - prev.time;
+            if (!(dt > 0)) continue;
             
-            // Validate the data
-            if (!Array.isArray(data) || data.length === 0) {
-                throw new Error('Invalid stallpoint data format');
+            const ax = (next.vx - prev.vx) / dt;
+            const ay = (next.vy - prev.vy) / dt;
+            const { kl, kd } = motionToK(sample.vx, sample.vy, ax, ay);
+            
+            trackData.push({
+                time: sample.time,
+                vx: sample.vx,
+                vy: sample.vy,
+                ax: ax,
+                ay: ay,
+                kl: kl,
+                kd: kd
+            });
+        }
+        
+        return trackData;
+    }
+
+    /**
+     * Convert K-coefficient track data to C-coefficient data
+     * @param {Array} trackData - Array of {kl, kd} points
+     * @param {number} rho - Air density
+     * @param {number} s - Wing area
+     * @param {number} m - Mass
+     * @returns {Array} Array of {cl, cd} objects
+     */
+    convertTrackToCoeffData(trackData, rho, s, m) {
+        return trackData.map(point => kToCoeff(point.kl, point.kd, s, m, rho));
+    }
+
+    /**
+     * Parse XFOIL or XFLR5 polar output
+     * @param {string} fileContent - The text content of the polar file
+     * @returns {Object} { coeffData, name } with {aoa, cl, cd} points and a default dataset name
+     */
+    parseXfoilPolar(fileContent) {
+        const lines = fileContent.split(/\r?\n/);
+        
+        // Header metadata
+        const airfoilMatch = fileContent.match(/Calculated polar for:\s*(.*)/i);
+        const machMatch = fileContent.match(/Mach\s*=\s*([-\d.]+)/);
+        const reMatch = fileContent.match(/Re\s*=\s*([\d.]+)\s*e\s*(\d+)/);
+        
+        // Column positions from the table header line
+        const headerIndex = lines.findIndex(line => /^\s*alpha\s+CL\s+CD\b/.test(line));
+        if (headerIndex < 0) {
+            throw new Error('No alpha/CL/CD table found in polar file');
+        }
+        const header = lines[headerIndex].trim().split(/\s+/).map(name => name.toLowerCase());
+        const aoaIndex = header.indexOf('alpha');
+        const clIndex = header.indexOf('cl');
+        const cdIndex = header.indexOf('cd');
+        
+        const coeffData = [];
+        for (const line of lines.slice(headerIndex + 1)) {
+            // Skip the dashed separator below the header
+            if (/^[\s-]*$/.test(line)) continue;
+            
+            const values = line.trim().split(/\s+/).map(Number);
+            const point = { aoa: values[aoaIndex], cl: values[clIndex], cd: values[cdIndex] };
+            if (!isFinite(point.aoa) || !isFinite(point.cl) || !isFinite(point.cd)) {
+                break;
             }
+            coeffData.push(point);
+        }
+        
+        if (coeffData.length === 0) {
+            throw new Error('Polar table has no data rows');
+        }
+        
+        // Default name: airfoil, Reynolds and Mach numbers
+        const details = [];
+        if (reMatch) {
+            details.push(`Re=${reMatch[1]}e${reMatch[2]}`);
+        }
+        if (machMatch) {
+            details.push(`M=${machMatch[1]}`);
+        }
+        const airfoil = airfoilMatch ? airfoilMatch[1].trim() : '';
+        const name = [airfoil, details.join(' ')].filter(part => part !== '').join(' ');
+        
+        return { coeffData, name };
+    }
 
-            // Validate each point has cl and cd
-            for (const point of data) {
-                if (typeof point.cl !== 'number' || typeof point.cd !== 'number') {
-                    throw new Error('Invalid CL/CD values in data');
-                }
+    /**
+     * Parse delimited text (CSV, TSV or semicolon separated) into a numeric table
+     * @param {string} fileContent - The text content of the file
+     * @returns {Object} { columns, rows } with column names and rows of numbers
+     */
+    parseDelimitedTable(fileContent) {
+        const lines = fileContent.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line !== '' && !line.startsWith('#'));
+        
+        if (lines.length === 0) {
+            throw new Error('File is empty');
+        }
+        
+        // Pick the delimiter that splits the first line into the most fields
+        const delimiter = TABLE_DELIMITERS.reduce((best, d) =>
+            lines[0].split(d).length > lines[0].split(best).length ? d : best);
+        
+        const splitLine = line => line.split(delimiter).map(f => f.trim().replace(/^"(.*)"$/, '$1'));
+        
+        // A first line that isn't all numbers is the header
+        const firstFields = splitLine(lines[0]);
+        const hasHeader = firstFields.some(f => f === '' || isNaN(Number(f)));
+        const columns = hasHeader
+            ? firstFields.map((f, i) => f || `Column ${i + 1}`)
+            : firstFields.map((f, i) => `Column ${i + 1}`);
+        
+        const rows = [];
+        for (const line of lines.slice(hasHeader ? 1 : 0)) {
+            const values = splitLine(line).map(Number);
+            // Skip unit rows and other non-numeric lines
+            if (values.length < columns.length || values.slice(0, columns.length).some(v => isNaN(v))) {
+                continue;
             }
+            rows.push(values.slice(0, columns.length));
+        }
+        
+        if (columns.length < 2 || rows.length === 0) {
+            throw new Error('No numeric table found in file');
+        }
+        
+        return { columns, rows };
+    }
 
-            return data;
-        } catch (error) {
-            console.error('Error parsing stallpoint data:', error);
-            throw new Error(`Failed to parse file: ${error.message}`);
+    /**
+     * Guess which quantity and unit each table column holds from its name
+     * @param {Array} columns - Column names
+     * @returns {Array} Array of {quantity, unit} per column
+     */
+    guessColumnMapping(columns) {
+        return columns.map(name => {
+            const key = name.toLowerCase().replace(/[^a-z]/g, '');
+            const quantity = Object.keys(TABLE_QUANTITIES)
+                .find(q => TABLE_QUANTITIES[q].aliases.includes(key)) || 'ignore';
+            const unit = /mph/i.test(name) ? 'mph' : TABLE_QUANTITIES[quantity].units[0];
+            return { quantity, unit };
+        });
+    }
+
+    /**
+     * Convert a mapped table to coefficient data
+     * Speed columns go through ssToCoeff, K columns are scaled to C with ρ, S, m
+     * @param {Object} table - Table from parseDelimitedTable
+     * @param {Array} mapping - Array of {quantity, unit} per column
+     * @param {number} rho - Air density
+     * @param {number} s - Wing area
+     * @param {number} m - Mass
+     * @returns {Array} Array of {cl, cd} objects (with aoa when mapped)
+     */
+    convertTableToCoeffData(table, mapping, rho, s, m) {
+        const find = quantity => mapping.findIndex(col => col.quantity === quantity);
+        const pairs = [['cl', 'cd'], ['kl', 'kd'], ['vxs', 'vys']];
+        const pair = pairs.find(([a, b]) => find(a) >= 0 && find(b) >= 0);
+        
+        if (!pair) {
+            throw new Error('Map a CL/CD, KL/KD or VXS/VYS column pair');
         }
+        
+        const [first, second] = pair.map(find);
+        const aoaIndex = find('aoa');
+        const coeffData = [];
+        
+        for (const row of table.rows) {
+            const a = row[first] * TABLE_UNITS[mapping[first].unit].scale;
+            const b = row[second] * TABLE_UNITS[mapping[second].unit].scale;
+            let point;
+            
+            if (pair[0] === 'cl') {
+                point = { cl: a, cd: b };
+            } else if (pair[0] === 'kl') {
+                point = kToCoeff(a, b, s, m, rho);
+            } else {
+                point = ssToCoeff(a, b, s, m, rho);
+            }
+            
+            if (aoaIndex >= 0) {
+                point.aoa = row[aoaIndex];
+            }
+            
+            if (isFinite(point.cl) && isFinite(point.cd)) {
+                coeffData.push(point);
+            }
+        }
+        
+        if (coeffData.length === 0) {
+            throw new Error('No valid rows in table');
+        }
+        
+        return coeffData;
     }
 
     /**
@@ -56,7 +465,7 @@ export class DataSetManager {
      * @param {number} rho - Air density
      * @param {number} s - Wing area
      * @param {number} m - Mass
-     * @returns {Array} Array of {vxs, vys} objects
+     * @returns {Array} Array of {vxs, vys} objects in m/s (the chart converts to display units)
      */
     convertToSpeedData(coeffData, rho, s, m) {
         const speedData = [];
@@ -64,13 +473,16 @@ export class DataSetManager {
         for (const point of coeffData) {
             try {
                 const speed = coeffToSS(point.cl, point.cd, s, m, rho);
-                // Convert from m/s to MPH for display
-                speedData.push({
-                    vxs: mpsToMph(speed.vxs),
-                    vys: mpsToMph(speed.vys),
+                const speedPoint = {
+                    vxs: speed.vxs,
+                    vys: speed.vys,
                     cl: point.cl,  // Keep original coefficients for reference
                     cd: point.cd
-                });
+                };
+                if (point.aoa !== undefined) {
+                    speedPoint.aoa = point.aoa;
+                }
+                speedData.push(speedPoint);
             } catch (error) {
                 console.warn(`Failed to convert point (CL=${point.cl}, CD=${point.cd}):`, error);
                 // Skip invalid points
@@ -81,48 +493,146 @@ export class DataSetManager {
     }
 
     /**
-     * Add a new dataset from file content
+     * Add new datasets from file content
+     * Polar files with several polar arrays add one dataset per array
      * @param {string} fileName - Name of the file
      * @param {string} fileContent - Content of the file
      * @param {number} rho - Air density
      * @param {number} s - Wing area
      * @param {number} m - Mass
-     * @param {string} color - Hex color for this dataset
-     * @returns {string} Dataset ID
+     * @param {string|Function} color - Hex color, or a function returning a new color per dataset
+     * @returns {Array} Dataset IDs
      */
     addDataset(fileName, fileContent, rho, s, m, color = '#ff0000') {
+        const pickColor = typeof color === 'function' ? color : () => color;
+        
         try {
-            // Parse the coefficient data
-            const coeffData = this.parseStallpointData(fileContent);
+            const format = this.detectFormat(fileContent);
             
-            // Convert to speed data
-            const speedData = this.convertToSpeedData(coeffData, rho, s, m);
+            if (format === 'table') {
+                throw new Error('Table files need a column mapping, use addTableDataset');
+            }
             
-            if (speedData.length === 0) {
-                throw new Error('No valid data points after conversion');
+            if (format === 'flysight') {
+                // GPS track: K-coefficients come from velocities and accelerations
+                const trackData = this.computeTrackCoefficients(this.parseFlySightData(fileContent));
+                const coeffData = this.convertTrackToCoeffData(trackData, rho, s, m);
+                return [this.createDataset(fileName, 'track', coeffData, rho, s, m, pickColor(), { trackData })];
+            }
+            
+            if (format === 'xfoil') {
+                // Wing section polar with alpha per point, named after its header
+                const polar = this.parseXfoilPolar(fileContent);
+                return [this.createDataset(polar.name || fileName, 'polar', polar.coeffData, rho, s, m, pickColor())];
             }
-
-            // Create dataset object
-            const id = `dataset-${this.nextId++}`;
-            const dataset = {
-                id: id,
-                name: fileName,
-                color: color,
-                visible: true,
-                coeffData: coeffData,
-                speedData: speedData,
-                params: { rho, s, m }  // Store parameters used for conversion
-            };
-
-            this.datasets.set(id, dataset);
             
-            return id;
+            // Polar file object: S and m from the file override the global values
+            const file = this.parsePolarFile(fileContent);
+            const baseName = file.name || fileName;
+            const fileParams = {};
+            if (file.s !== null) fileParams.s = file.s;
+            if (file.m !== null) fileParams.m = file.m;
+            
+            const datasetS = fileParams.s ?? s;
+            const datasetM = fileParams.m ?? m;
+            
+            return file.polars.map(polar => {
+                const name = file.polars.length > 1 ? `${baseName} - ${polar.key}` : baseName;
+                return this.createDataset(name, 'polar', polar.coeffData, rho, datasetS, datasetM, pickColor(),
+                    { fileParams });
+            });
         } catch (error) {
             console.error('Error adding dataset:', error);
             throw error;
         }
     }
 
+    /**
+     * Add a new dataset from a parsed table and a column mapping
+     * @param {string} name - Dataset name
+     * @param {Object} table - Table from parseDelimitedTable
+     * @param {Array} mapping - Array of {quantity, unit} per column
+     * @param {number} rho - Air density
+     * @param {number} s - Wing area
+     * @param {number} m - Mass
+     * @param {string} color - Hex color for this dataset
+     * @returns {string} Dataset ID
+     */
+    addTableDataset(name, table, mapping, rho, s, m, color = '#ff0000') {
+        try {
+            const coeffData = this.convertTableToCoeffData(table, mapping, rho, s, m);
+            return this.createDataset(name, 'polar', coeffData, rho, s, m, color);
+        } catch (error) {
+            console.error('Error adding dataset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a dataset generated from wing parameters instead of a file
+     * @param {string} name - Dataset name
+     * @param {Object} polarParams - Partial { cd0, k, clMax, stallSoftness }; defaults fill the rest
+     * @param {number} rho - Air density
+     * @param {number} s - Wing area
+     * @param {number} m - Mass
+     * @param {string} color - Hex color for this dataset
+     * @returns {string} Dataset ID
+     */
+    addParametricDataset(name, polarParams, rho, s, m, color = '#ff0000') {
+        const params = { ...createPolarParams(), ...validatePolarParams(polarParams) };
+        return this.createDataset(name, 'parametric', generateParametricPolar(params), rho, s, m, color,
+            { polarParams: params });
+    }
+
+    /**
+     * Create and store a dataset from coefficient data
+     * @param {string} name - Dataset name
+     * @param {string} type - 'polar', 'track', 'parametric' or 'derived'
+     * @param {Array} coeffData - Array of {cl, cd} objects
+     * @param {number} rho - Air density
+     * @param {number} s - Wing area
+     * @param {number} m - Mass
+     * @param {string} color - Hex color for this dataset
+     * @param {Object} extra - Additional type-specific properties (e.g. trackData, fileParams)
+     * @returns {string} Dataset ID
+     */
+    createDataset(name, type, coeffData, rho, s, m, color, extra = {}) {
+        // Convert to speed data
+        const speedData = this.convertToSpeedData(coeffData, rho, s, m);
+        
+        if (speedData.length === 0) {
+            throw new Error('No valid data points after conversion');
+        }
+
+        // Create dataset object
+        const id = `dataset-${this.nextId++}`;
+        const dataset = {
+            id: id,
+            name: name,
+            type: type,
+            color: color,
+            visible: true,
+            trackData: null,
+            coeffData: coeffData,
+            speedData: speedData,
+            metrics: computePerformance(coeffData, rho, s, m, this.wind),  // Best glide, min sink, max speed
+            params: { rho, s, m },  // Store parameters used for conversion
+            fileParams: {},         // S and m provided by the data file
+            fit: null,              // Fitted model (see fitDataset), or { model, options, error } when it no longer fits
+            lockParams: true,       // Follow the global ρ, S, m
+            ...extra
+        };
+        
+        // Datasets whose file brings its own S or m keep them instead of following the globals
+        if (Object.keys(dataset.fileParams).length > 0) {
+            dataset.lockParams = false;
+        }
+
+        this.datasets.set(id, dataset);
+        
+        return id;
+    }
+
     /**
      * Update dataset color
      * @param {string} id - Dataset ID
@@ -149,10 +659,16 @@ export class DataSetManager {
 
     /**
      * Remove a dataset
+     * Datasets derived from it are unlinked and keep their current data
      * @param {string} id - Dataset ID
      */
     removeDataset(id) {
         this.datasets.delete(id);
+        for (const dataset of this.datasets.values()) {
+            if (dataset.parentId === id) {
+                dataset.parentId = null;
+            }
+        }
     }
 
     /**
@@ -181,18 +697,186 @@ export class DataSetManager {
     }
 
     /**
-     * Regenerate speed data for all datasets with new parameters
+     * Set the wind and vertical air motion, and recompute every dataset's metrics relative to the ground
+     * @param {Object} wind - { headwind, updraft } in m/s
+     */
+    setWind(wind) {
+        this.wind = { ...wind };
+        for (const dataset of this.datasets.values()) {
+            const { rho, s, m } = dataset.params;
+            dataset.metrics = computePerformance(dataset.coeffData, rho, s, m, this.wind);
+        }
+    }
+
+    /**
+     * Regenerate speed data for all datasets locked to the global parameters
+     * Unlocked datasets keep their own ρ, S, m
      * @param {number} rho - New air density
      * @param {number} s - New wing area
      * @param {number} m - New mass
+     * @returns {Array} IDs of the datasets that were regenerated
      */
     regenerateAllSpeedData(rho, s, m) {
+        const updated = [];
         for (const dataset of this.datasets.values()) {
-            dataset.speedData = this.convertToSpeedData(dataset.coeffData, rho, s, m);
-            dataset.params = { rho, s, m };
+            if (dataset.lockParams) {
+                this.updateDatasetData(dataset, rho, s, m);
+                updated.push(dataset.id);
+            }
+        }
+        return updated;
+    }
+
+    /**
+     * Set a dataset's own parameters and regenerate only that dataset
+     * @param {string} id - Dataset ID
+     * @param {Object} params - Any of { rho, s, m }
+     */
+    updateParams(id, params) {
+        const dataset = this.datasets.get(id);
+        if (dataset) {
+            const { rho, s, m } = { ...dataset.params, ...params };
+            this.updateDatasetData(dataset, rho, s, m);
+        }
+    }
+
+    /**
+     * Add a dataset derived from another by a list of transforms
+     * The child follows its parent, and is recomputed whenever the parent's data or parameters change
+     * @param {string} parentId - ID of the dataset to derive from
+     * @param {string} name - Dataset name
+     * @param {Object[]} transforms - { type, value } keyed by DATASET_TRANSFORMS, applied in order
+     * @param {string} color - Hex color for this dataset
+     * @returns {string|null} Dataset ID, or null for an unknown parent
+     */
+    deriveDataset(parentId, name, transforms, color = '#ff0000') {
+        const parent = this.datasets.get(parentId);
+        if (!parent) return null;
+        const valid = validateTransforms(transforms, parent);
+        const { rho, s, m } = transformParams(parent.params, valid);
+        return this.createDataset(name, 'derived', transformCoeffData(parent.coeffData, valid), rho, s, m, color,
+            { parentId, transforms: valid, rejectedTransforms: [], lockParams: false });
+    }
+
+    /**
+     * Replace a derived dataset's transforms and recompute it
+     * Datasets whose parent was removed keep their transforms
+     * @param {string} id - Dataset ID
+     * @param {Object[]} transforms - { type, value }
+     */
+    updateTransforms(id, transforms) {
+        const dataset = this.datasets.get(id);
+        const parent = dataset && this.datasets.get(dataset.parentId);
+        if (dataset && dataset.type === 'derived' && parent) {
+            dataset.transforms = validateTransforms(transforms, parent);
+            this.updateDerivedDataset(dataset);
+        }
+    }
+
+    /**
+     * Recompute a derived dataset from its parent's current data and parameters
+     * Datasets whose parent was removed keep their last data. Transforms that passed when entered
+     * can fail once the parent changes (e.g. a drag decrement below a lowered CD0): they are kept,
+     * listed in rejectedTransforms, and the dataset keeps its last valid data until they pass again
+     * @param {Object} dataset - Derived dataset object
+     */
+    updateDerivedDataset(dataset) {
+        const parent = this.datasets.get(dataset.parentId);
+        if (!parent) return;
+        dataset.rejectedTransforms = checkTransforms(dataset.transforms, parent).filter(check => !check.valid);
+        if (dataset.rejectedTransforms.length > 0) return;
+        dataset.coeffData = transformCoeffData(parent.coeffData, dataset.transforms);
+        const { rho, s, m } = transformParams(parent.params, dataset.transforms);
+        this.updateDatasetData(dataset, rho, s, m);
+    }
+
+    /**
+     * Change a parametric dataset's wing parameters and regenerate it
+     * Invalid values are ignored
+     * @param {string} id - Dataset ID
+     * @param {Object} polarParams - Any of { cd0, k, clMax, stallSoftness }
+     */
+    updatePolarParams(id, polarParams) {
+        const dataset = this.datasets.get(id);
+        if (dataset && dataset.type === 'parametric') {
+            Object.assign(dataset.polarParams, validatePolarParams(polarParams));
+            dataset.coeffData = generateParametricPolar(dataset.polarParams);
+            const { rho, s, m } = dataset.params;
+            this.updateDatasetData(dataset, rho, s, m);
+        }
+    }
+
+    /**
+     * Lock a dataset to the global parameters, or unlock it to edit its own
+     * @param {string} id - Dataset ID
+     * @param {boolean} locked - Whether the dataset follows the global values
+     * @param {number} rho - Global air density (applied when locking)
+     * @param {number} s - Global wing area (applied when locking)
+     * @param {number} m - Global mass (applied when locking)
+     */
+    setParamsLocked(id, locked, rho, s, m) {
+        const dataset = this.datasets.get(id);
+        if (dataset) {
+            dataset.lockParams = locked;
+            if (locked) {
+                this.updateDatasetData(dataset, rho, s, m);
+            }
+        }
+    }
+
+    /**
+     * Fit a model to a dataset; the fit is drawn with the dataset and follows its parameters
+     * @param {string} id - Dataset ID
+     * @param {string} model - Key of POLAR_MODELS
+     * @param {Object} options - The model's option, e.g. { degree: 3 }
+     * @returns {Object|null} The fit (see fitPolar) with speedData, or null for an unknown dataset
+     * @throws {Error} If the model cannot be fitted to the data
+     */
+    fitDataset(id, model, options = {}) {
+        const dataset = this.datasets.get(id);
+        if (!dataset) return null;
+        this.applyFit(dataset, model, options);
+        return dataset.fit;
+    }
+
+    /**
+     * Remove a dataset's fitted model
+     * @param {string} id - Dataset ID
+     */
+    clearFit(id) {
+        const dataset = this.datasets.get(id);
+        if (dataset) {
+            dataset.fit = null;
         }
     }
 
+    /**
+     * Store a dataset's fitted model as a new polar dataset
+     * @param {string} id - Dataset ID
+     * @param {string} color - Hex color for the new dataset
+     * @returns {string|null} New dataset ID, or null if the dataset has no valid fit
+     */
+    saveFitAsDataset(id, color) {
+        const dataset = this.datasets.get(id);
+        if (!dataset || !dataset.fit || dataset.fit.error) return null;
+        const { rho, s, m } = dataset.params;
+        const name = `${dataset.name} (${POLAR_MODELS[dataset.fit.model].label} fit)`;
+        return this.createDataset(name, 'polar', dataset.fit.coeffData.map(point => ({ ...point })), rho, s, m, color,
+            { lockParams: dataset.lockParams });
+    }
+
+    /**
+     * Fit a model to a dataset's current coefficient data
+     * @param {Object} dataset - Dataset object
+     * @param {string} model - Key of POLAR_MODELS
+     * @param {Object} options - The model's option
+     */
+    applyFit(dataset, model, options) {
+        const fit = fitPolar(dataset.coeffData, model, options);
+        const { rho, s, m } = dataset.params;
+        dataset.fit = { ...fit, speedData: this.convertToSpeedData(fit.coeffData, rho, s, m) };
+    }
+
     /**
      * Regenerate speed data for a specific dataset
      * @param {string} id - Dataset ID
@@ -203,8 +887,40 @@ export class DataSetManager {
     regenerateDatasetSpeedData(id, rho, s, m) {
         const dataset = this.datasets.get(id);
         if (dataset) {
-            dataset.speedData = this.convertToSpeedData(dataset.coeffData, rho, s, m);
-            dataset.params = { rho, s, m };
+            this.updateDatasetData(dataset, rho, s, m);
+        }
+    }
+
+    /**
+     * Recompute a dataset's coefficient data, speed data, metrics, fit and derived datasets for new parameters
+     * Polars keep their CL/CD, tracks keep their measured KL/KD
+     * @param {Object} dataset - Dataset object
+     * @param {number} rho - Air density
+     * @param {number} s - Wing area
+     * @param {number} m - Mass
+     */
+    updateDatasetData(dataset, rho, s, m) {
+        if (dataset.type === 'track') {
+            dataset.coeffData = this.convertTrackToCoeffData(dataset.trackData, rho, s, m);
+        }
+        dataset.speedData = this.convertToSpeedData(dataset.coeffData, rho, s, m);
+        dataset.metrics = computePerformance(dataset.coeffData, rho, s, m, this.wind);
+        dataset.params = { rho, s, m };
+        if (dataset.fit) {
+            // A model that stops fitting keeps its settings and error, and is retried on the next change
+            const { model, options } = dataset.fit;
+            try {
+                this.applyFit(dataset, model, options);
+            } catch (error) {
+                dataset.fit = { model, options, error: error.message };
+            }
+        }
+        
+        // Derived datasets follow their parent
+        for (const child of this.datasets.values()) {
+            if (child.type === 'derived' && child.parentId === dataset.id) {
+                this.updateDerivedDataset(child);
+            }
         }
     }
 
@@ -0,0 +1,135 @@
+/**
+ * Dataset Transforms Module
+ *
+ * Modifications that turn a dataset into a derived copy of itself: drag increments
+ * (e.g. +0.05 CD for a camera helmet), drag and lift scaling, and mass changes.
+ * Coefficient transforms act on each CL/CD point, mass changes act on the conversion
+ * to sustained speeds.
+ */
+
+// Lightest mass a mass change can leave (kg)
+const MIN_MASS = 1;
+// Smallest drag coefficient a drag increment can leave
+const MIN_DRAG = 0.001;
+// Smallest drag or lift scale factor
+const MIN_SCALE = 0.01;
+
+// Transform types in the order the derive dialog lists them
+// min: lowest value for the data it applies to ({ coeffData, params }),
+// point: changes a { cl, cd } point, params: changes { rho, s, m }
+export const DATASET_TRANSFORMS = {
+    dragIncrement: {
+        label: 'CD +',
+        value: 0.05,
+        step: 0.01,
+        min: ({ coeffData }) => MIN_DRAG - Math.min(...coeffData.map(point => point.cd).filter(isFinite)),
+        describe: value => `CD ${value < 0 ? '−' : '+'}${Math.abs(value)}`,
+        point: (point, value) => ({ ...point, cd: point.cd + value })
+    },
+    dragScale: {
+        label: 'CD ×',
+        value: 0.9,
+        step: 0.01,
+        min: () => MIN_SCALE,
+        describe: value => `CD ×${value}`,
+        point: (point, value) => ({ ...point, cd: point.cd * value })
+    },
+    liftScale: {
+        label: 'CL ×',
+        value: 0.95,
+        step: 0.01,
+        min: () => MIN_SCALE,
+        describe: value => `CL ×${value}`,
+        point: (point, value) => ({ ...point, cl: point.cl * value })
+    },
+    massChange: {
+        label: 'Mass + (kg)',
+        value: 10,
+        step: 1,
+        min: ({ params }) => MIN_MASS - params.m,
+        describe: value => `${value < 0 ? '−' : '+'}${Math.abs(value)} kg`,
+        params: (params, value) => ({ ...params, m: Math.max(params.m + value, MIN_MASS) })
+    }
+};
+
+/**
+ * Check each transform against the data as changed by the valid transforms before it
+ * @param {Object[]} transforms - { type, value }
+ * @param {Object} source - { coeffData, params } the transforms start from
+ * @returns {Object[]} { type, value, min, valid } per transform, in order (min is null for unknown types)
+ */
+export function checkTransforms(transforms, source) {
+    let state = { coeffData: source.coeffData, params: source.params };
+    return transforms.map(({ type, value }) => {
+        const transform = DATASET_TRANSFORMS[type];
+        if (!transform) return { type, value, min: null, valid: false };
+        
+        const min = transform.min(state);
+        const valid = typeof value === 'number' && isFinite(value) && value >= min;
+        if (valid) {
+            const step = [{ type, value }];
+            state = { coeffData: transformCoeffData(state.coeffData, step), params: transformParams(state.params, step) };
+        }
+        return { type, value, min, valid };
+    });
+}
+
+/**
+ * Check a list of transforms, dropping unknown types, values that are not numbers and values
+ * below their type's minimum for the data as transformed so far
+ * @param {Object[]} transforms - { type, value }
+ * @param {Object} source - { coeffData, params } the transforms start from
+ * @returns {Object[]} The valid transforms, in order
+ */
+export function validateTransforms(transforms, source) {
+    return checkTransforms(transforms, source)
+        .filter(check => check.valid)
+        .map(({ type, value }) => ({ type, value }));
+}
+
+/**
+ * Apply the coefficient transforms to every point, in order
+ * @param {Object[]} coeffData - { cl, cd, ... } points
+ * @param {Object[]} transforms - { type, value }
+ * @returns {Object[]} New points (other point fields such as aoa are kept)
+ */
+export function transformCoeffData(coeffData, transforms) {
+    const pointTransforms = transforms.filter(({ type }) => DATASET_TRANSFORMS[type].point);
+    return coeffData.map(point => pointTransforms.reduce(
+        (transformed, { type, value }) => DATASET_TRANSFORMS[type].point(transformed, value), { ...point }));
+}
+
+/**
+ * Apply the parameter transforms, in order
+ * @param {Object} params - { rho, s, m }
+ * @param {Object[]} transforms - { type, value }
+ * @returns {Object} New { rho, s, m }
+ */
+export function transformParams(params, transforms) {
+    return transforms
+        .filter(({ type }) => DATASET_TRANSFORMS[type].params)
+        .reduce((transformed, { type, value }) => DATASET_TRANSFORMS[type].params(transformed, value), { ...params });
+}
+
+/**
+ * Short summary of a list of transforms, e.g. "CD +0.05, +10 kg"
+ * @param {Object[]} transforms - { type, value }
+ * @returns {string}
+ */
+export function describeTransforms(transforms) {
+    return transforms.map(({ type, value }) => DATASET_TRANSFORMS[type].describe(value)).join(', ') || 'unchanged';
+}
+
+/**
+ * Short summary of the transforms that failed their check, e.g. "CD −0.09 (at least −0.009)"
+ * @param {Object[]} checks - Results of checkTransforms
+ * @returns {string}
+ */
+export function describeRejectedTransforms(checks) {
+    return checks
+        .filter(check => !check.valid)
+        .map(({ type, value, min }) => DATASET_TRANSFORMS[type]
+            ? `${DATASET_TRANSFORMS[type].describe(value)} (at least ${min < 0 ? '−' : ''}${Math.abs(+min.toPrecision(3))})`
+            : `unknown transform "${type}"`)
+        .join(', ');
+}
@@ -0,0 +1,189 @@
+/**
+ * Grid Settings Module
+ *
+ * Range, spacing and sample density for each family of grid lines.
+ * Speed families are in display units (they follow the selected speed unit),
+ * coefficient families and the coefficient range are in C units.
+ */
+
+import { SPEED_UNITS } from './utilities.js';
+
+// Guards against settings that would generate an unusable number of lines or points
+const MAX_LINES_PER_SIDE = 200;
+const MAX_SAMPLES = 2000;
+
+// Line families in the order the settings panel lists them
+export const GRID_FAMILIES = {
+    speedHorizontal: { label: 'Speed Horizontal', space: 'speed' },
+    speedVertical: { label: 'Speed Vertical', space: 'speed' },
+    innerSpeeds: { label: 'Inner Speeds', space: 'speed' },
+    lift: { label: 'Lift (CL)', space: 'coeff' },
+    drag: { label: 'Drag (CD)', space: 'coeff' },
+    totalSpeed: { label: 'Total Speed', space: 'speed' },
+    glideAngle: { label: 'Glide Angle (°)', space: 'angle' },
+    ldRatio: { label: 'L/D', space: 'ratio' },
+    resultant: { label: 'Resultant (CR)', space: 'coeff' }
+};
+
+// Editable fields of each family
+// range: largest line value (and extent of the other family's lines)
+// major: spacing of labelled lines
+// minor: spacing of unlabelled lines in between (0 = none); for coefficients,
+//        the spacing inside the coefficient range where lines are denser
+// sample: step between points along each line
+// Glide angle values are degrees from +Vxs towards +Vys (sampled in speed units along each ray),
+// L/D values are ratios (sampled in C units along each ray)
+export const GRID_FIELDS = ['range', 'major', 'minor', 'sample'];
+
+// Speed-space quadrants a glide line can be drawn in (signs of Vxs and Vys)
+// Vys is positive when descending, so quadrant 1 is normal forward gliding flight
+export const GLIDE_QUADRANTS = {
+    1: { vxs: 1, vys: 1, label: '+Vxs +Vys' },
+    2: { vxs: -1, vys: 1, label: '-Vxs +Vys' },
+    3: { vxs: -1, vys: -1, label: '-Vxs -Vys' },
+    4: { vxs: 1, vys: -1, label: '+Vxs -Vys' }
+};
+
+// Glide ratio lines shown until the user edits the list
+export const DEFAULT_GLIDE_LINES = [
+    { ratio: 1, color: '#e74c3c', label: '1:1 glide', quadrants: [1, 2, 3, 4] },
+    { ratio: 2, color: '#f39c12', label: '2:1 glide', quadrants: [1, 2, 3, 4] },
+    { ratio: 3, color: '#27ae60', label: '3:1 glide', quadrants: [1, 2, 3, 4] }
+];
+
+/**
+ * Check a glide line update, dropping fields that are not usable
+ * @param {Object} line - Partial { ratio, color, label, quadrants }
+ * @returns {Object} The valid fields
+ */
+export function validateGlideLine(line) {
+    const valid = {};
+    if (typeof line.ratio === 'number' && isFinite(line.ratio) && line.ratio > 0) {
+        valid.ratio = line.ratio;
+    }
+    if (typeof line.color === 'string') {
+        valid.color = line.color;
+    }
+    if (typeof line.label === 'string') {
+        valid.label = line.label;
+    }
+    if (Array.isArray(line.quadrants)) {
+        valid.quadrants = [...new Set(line.quadrants)].filter(q => GLIDE_QUADRANTS[q]).sort();
+    }
+    return valid;
+}
+
+/**
+ * Default speed families for a speed unit
+ * @param {string} unitKey - Key of SPEED_UNITS
+ * @returns {Object} { speedHorizontal, speedVertical, innerSpeeds, totalSpeed, glideAngle }
+ */
+export function createSpeedGridSettings(unitKey) {
+    const unit = SPEED_UNITS[unitKey];
+    return {
+        speedHorizontal: { range: unit.range, major: unit.major, minor: 0, sample: unit.sample },
+        speedVertical: { range: unit.range, major: unit.major, minor: 0, sample: unit.sample },
+        innerSpeeds: { range: unit.innerRange, major: unit.innerStep, minor: 0, sample: unit.sample },
+        totalSpeed: { range: unit.range, major: unit.major, minor: 0, sample: unit.sample },
+        glideAngle: { range: 180, major: 15, minor: 0, sample: unit.sample }
+    };
+}
+
+/**
+ * Default settings for every family
+ * @param {string} unitKey - Key of SPEED_UNITS
+ * @returns {Object} Families keyed as GRID_FAMILIES, plus coeffRange (±C shown in coefficient view)
+ */
+export function createGridSettings(unitKey) {
+    return {
+        ...createSpeedGridSettings(unitKey),
+        lift: { range: 10, major: 1, minor: 0.2, sample: 0.05 },
+        drag: { range: 10, major: 1, minor: 0.2, sample: 0.05 },
+        ldRatio: { range: 6, major: 1, minor: 0, sample: 0.05 },
+        resultant: { range: 10, major: 1, minor: 0.2, sample: 0.05 },
+        coeffRange: 1
+    };
+}
+
+/**
+ * Check a family update, dropping fields that are not usable numbers
+ * @param {Object} family - Partial { range, major, minor, sample }
+ * @returns {Object} The valid fields
+ */
+export function validateFamily(family) {
+    const valid = {};
+    for (const field of GRID_FIELDS) {
+        const value = family[field];
+        if (typeof value !== 'number' || !isFinite(value)) continue;
+        // Minor lines can be switched off, everything else must be positive
+        if (value > 0 || (field === 'minor' && value === 0)) {
+            valid[field] = value;
+        }
+    }
+    return valid;
+}
+
+/**
+ * Multiples of a spacing from -range to range
+ * Built from integer counts so values like 0 and 1 come out exact
+ * @param {number} range - Largest absolute value
+ * @param {number} spacing - Step between values
+ * @returns {number[]} Ascending values
+ */
+export function gridValues(range, spacing) {
+    const count = Math.min(Math.floor(range / spacing + 1e-9), MAX_LINES_PER_SIDE);
+    const values = [];
+    for (let i = -count; i <= count; i++) {
+        values.push(roundValue(i * spacing));
+    }
+    return values;
+}
+
+/**
+ * Evenly spaced samples from `from` to `to`, always including both ends
+ * @param {number} from - First value
+ * @param {number} to - Last value
+ * @param {number} step - Largest step between samples
+ * @returns {number[]}
+ */
+export function sampleRange(from, to, step) {
+    const count = Math.min(Math.max(Math.ceil(Math.abs(to - from) / step - 1e-9), 1), MAX_SAMPLES);
+    const values = [];
+    for (let i = 0; i <= count; i++) {
+        values.push(roundValue(from + (to - from) * i / count));
+    }
+    return values;
+}
+
+/**
+ * Whether a value is a whole multiple of a spacing (within rounding)
+ */
+export function isMultipleOf(value, spacing) {
+    if (!(spacing > 0)) return false;
+    const ratio = value / spacing;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+}
+
+/**
+ * Line values of a family: labelled majors plus unlabelled minors in between
+ * @param {Object} family - { range, major, minor }
+ * @returns {Object[]} Ascending { value, minor }
+ */
+export function familyLineValues(family) {
+    const lines = gridValues(family.range, family.major).map(value => ({ value, minor: false }));
+    if (family.minor > 0) {
+        for (const value of gridValues(family.range, family.minor)) {
+            if (!isMultipleOf(value, family.major)) {
+                lines.push({ value, minor: true });
+            }
+        }
+    }
+    return lines.sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Trim floating point noise from generated values
+ */
+function roundValue(value) {
+    return Number(value.toFixed(10));
+}
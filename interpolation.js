@@ -1,5 +1,5 @@
 /**
- * Easing functions for smooth animations
+ * Easing functions and morph paths for smooth animations
  */
 
 /**
@@ -15,6 +15,39 @@ export function easeInOutExpo(t) {
     return 1 - 0.5 * Math.pow(2, -30 * t + 15);
 }
 
+/**
+ * Linear (no easing)
+ */
+export function linear(t) {
+    return t;
+}
+
+/**
+ * Cubic ease-in-out
+ */
+export function easeInOutCubic(t) {
+    if (t < 0.5) {
+        return 4 * t * t * t;
+    }
+    return 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Sine ease-in-out
+ * Gentlest of the curves
+ */
+export function easeInOutSine(t) {
+    return -(Math.cos(Math.PI * t) - 1) / 2;
+}
+
+// Easing curves selectable for the view morph
+export const EASINGS = {
+    expo: { label: 'Exponential', ease: easeInOutExpo },
+    cubic: { label: 'Cubic', ease: easeInOutCubic },
+    sine: { label: 'Sine', ease: easeInOutSine },
+    linear: { label: 'Linear', ease: linear }
+};
+
 /**
  * Inverse ease-in-out for zoom
  * Fast at start and end, slow in the middle
@@ -31,3 +64,85 @@ export function easeZoom(t) {
     }
 }
 
+
+// Paths a point can take from its position in one view to its position in the other
+export const MORPH_MODES = {
+    linear: { label: 'Linear' },
+    origin: { label: 'Through Origin' },
+    exponent: { label: 'Exponent (Vs^n)' }
+};
+
+// Sustained speeds: (KL, KD) = (Vxs, Vys) / Vs^3
+const COEFF_EXPONENT = 3;
+
+// Blend the axis assignment so it is half done at exponent 1, where every state sits on
+// one circle: the grid then degenerates in a single frame instead of two
+const AXIS_BLEND_POWER = Math.log(2) / Math.log(COEFF_EXPONENT);
+
+/**
+ * Straight screen path
+ * @param {Object} from - { x, y } offset from the chart origin in the view the morph starts from
+ * @param {Object} to - { x, y } offset from the chart origin in the view it ends at
+ * @param {number} t - Morph progress 0-1
+ * @returns {Object} { x, y } offset from the chart origin
+ */
+export function morphLinear(from, to, t) {
+    return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t
+    };
+}
+
+/**
+ * In along the first view's ray to the origin, then out along the second view's ray
+ * Points move at constant speed along the whole path, so each reaches the origin at
+ * its own time and neighbouring points stay together
+ * @param {Object} from - { x, y } offset from the chart origin in the view the morph starts from
+ * @param {Object} to - { x, y } offset from the chart origin in the view it ends at
+ * @param {number} t - Morph progress 0-1
+ * @returns {Object} { x, y } offset from the chart origin
+ */
+export function morphThroughOrigin(from, to, t) {
+    const inLength = Math.hypot(from.x, from.y);
+    const outLength = Math.hypot(to.x, to.y);
+    const distance = t * (inLength + outLength);
+    
+    if (distance <= inLength) {
+        const f = inLength > 0 ? 1 - distance / inLength : 0;
+        return { x: from.x * f, y: from.y * f };
+    }
+    const f = (distance - inLength) / outLength;
+    return { x: to.x * f, y: to.y * f };
+}
+
+/**
+ * Member of the family K = V / Vs^n, with n running from 0 (speeds) to 3 (coefficients)
+ * The component vector keeps its direction and its length is interpolated geometrically,
+ * so each frame plots V / Vs^n up to a constant scale. Every frame is a coordinate
+ * system except n = 1, where all states of one (ρ, S, m) land on a single circle
+ * @param {number[]} speed - [first, second] speed components in units of the speed range
+ * @param {number[]} coeff - [first, second] coefficient components in units of the coefficient range
+ * @param {number[][]} speedMatrix - Components to axis values in the speed view (see AxisMapping.getComponentMatrix)
+ * @param {number[][]} coeffMatrix - Components to axis values in the coefficient view
+ * @param {number} t - Morph progress 0-1
+ * @returns {number[]} [x, y] in units of the half canvas
+ */
+export function morphExponent(speed, coeff, speedMatrix, coeffMatrix, t) {
+    const speedLength = Math.hypot(speed[0], speed[1]);
+    const coeffLength = Math.hypot(coeff[0], coeff[1]);
+    const length = Math.pow(speedLength, 1 - t) * Math.pow(coeffLength, t);
+    
+    // Both vectors point the same way; use whichever is finite and non-zero
+    const [dx, dy] = speedLength > 0 && isFinite(speedLength)
+        ? [speed[0] / speedLength, speed[1] / speedLength]
+        : [coeff[0] / coeffLength, coeff[1] / coeffLength];
+    const vx = dx * length;
+    const vy = dy * length;
+    
+    const s = Math.pow(t, AXIS_BLEND_POWER);
+    const m = (i, j) => speedMatrix[i][j] + (coeffMatrix[i][j] - speedMatrix[i][j]) * s;
+    return [
+        m(0, 0) * vx + m(0, 1) * vy,
+        m(1, 0) * vx + m(1, 1) * vy
+    ];
+}
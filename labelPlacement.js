@@ -0,0 +1,76 @@
+/**
+ * Label Placement Module
+ *
+ * Places chart labels without overlaps. Each label offers candidate positions in order
+ * of preference; higher priority labels are placed first and a label that fits nowhere
+ * is dropped. The candidate a label used in the last frame is tried first, so labels
+ * hold still while the chart animates.
+ */
+
+// Empty space kept around each label box (pixels)
+const LABEL_PADDING = 2;
+
+/**
+ * Whether two boxes overlap
+ * @param {Object} a - { left, top, right, bottom }
+ * @param {Object} b - { left, top, right, bottom }
+ */
+function boxesOverlap(a, b) {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+export class LabelPlacer {
+    constructor() {
+        // Label key -> id of the candidate it was drawn at last time
+        this.previous = new Map();
+    }
+    
+    /**
+     * Choose a position for as many labels as fit
+     * @param {Object[]} labels - { key, width, height, priority, candidates: [{ id, x, y }] }, plus
+     *   anything the caller needs to draw them; candidates are box centres, most preferred first
+     * @param {Object} bounds - { width, height } every label must stay inside
+     * @returns {Object[]} The labels that fit, each with the chosen x, y (box centre)
+     */
+    place(labels, bounds) {
+        // Highest priority first; the stable sort keeps the caller's order within a priority
+        const ordered = [...labels].sort((a, b) => b.priority - a.priority);
+        const boxes = [];
+        const placed = [];
+        const chosen = new Map();
+        
+        for (const label of ordered) {
+            const previousId = this.previous.get(label.key);
+            const candidates = [
+                ...label.candidates.filter(candidate => candidate.id === previousId),
+                ...label.candidates.filter(candidate => candidate.id !== previousId)
+            ];
+            
+            for (const candidate of candidates) {
+                const box = {
+                    left: candidate.x - label.width / 2 - LABEL_PADDING,
+                    top: candidate.y - label.height / 2 - LABEL_PADDING,
+                    right: candidate.x + label.width / 2 + LABEL_PADDING,
+                    bottom: candidate.y + label.height / 2 + LABEL_PADDING
+                };
+                const inside = box.left >= 0 && box.top >= 0 && box.right <= bounds.width && box.bottom <= bounds.height;
+                if (!inside || boxes.some(other => boxesOverlap(box, other))) continue;
+                
+                boxes.push(box);
+                placed.push({ ...label, x: candidate.x, y: candidate.y });
+                chosen.set(label.key, candidate.id);
+                break;
+            }
+        }
+        
+        this.previous = chosen;
+        return placed;
+    }
+    
+    /**
+     * Forget the last frame's positions, e.g. after the grid is rebuilt
+     */
+    reset() {
+        this.previous.clear();
+    }
+}
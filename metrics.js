@@ -0,0 +1,144 @@
+/**
+ * Performance Metrics Module
+ *
+ * Key performance points of a dataset: best glide ratio, minimum sink and maximum
+ * horizontal speed, each with the sustained speeds and coefficients where it occurs.
+ * The polar is interpolated with a Catmull-Rom spline through its CL/CD points, so an
+ * optimum between two measured points is found rather than the nearest point.
+ * With wind or vertical air motion, glide and speed are judged relative to the ground
+ * (the speed-to-fly construction); minimum sink stays the airmass optimum.
+ */
+
+import { coeffToSS } from './utilities.js';
+
+// Spline samples per segment searched for each optimum, before refinement
+const SAMPLES_PER_SEGMENT = 16;
+// Golden-section steps refining each optimum between its neighbouring samples
+const REFINE_ITERATIONS = 30;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// Still air: ground-relative speeds equal the air-relative ones
+const NO_WIND = { headwind: 0, updraft: 0 };
+
+// What each metric maximizes, for the states where it applies
+// Vys is positive when descending, so glide and sink only count descending forward flight
+export const PERFORMANCE_METRICS = {
+    bestGlide: {
+        label: 'Best glide',
+        applies: state => state.groundVxs > 0 && state.groundVys > 0,
+        score: state => state.groundVxs / state.groundVys
+    },
+    minSink: {
+        label: 'Min sink',
+        applies: state => state.vys > 0,
+        score: state => -state.vys
+    },
+    maxSpeed: {
+        label: 'Max speed',
+        applies: () => true,
+        score: state => state.groundVxs
+    }
+};
+
+/**
+ * Catmull-Rom interpolation of one coordinate
+ * @param {number} p0 - Point before the segment
+ * @param {number} p1 - Segment start
+ * @param {number} p2 - Segment end
+ * @param {number} p3 - Point after the segment
+ * @param {number} t - Position along the segment (0-1)
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+        (3 * p1 - p0 + p3 - 3 * p2) * t3);
+}
+
+/**
+ * Coefficients at a position along the polar
+ * @param {Object[]} coeffData - { cl, cd } points in polar order
+ * @param {number} u - Point index, fractional between points
+ * @returns {Object} { cl, cd }
+ */
+export function interpolateCoeff(coeffData, u) {
+    const last = coeffData.length - 1;
+    const i = Math.min(Math.floor(u), Math.max(last - 1, 0));
+    const t = u - i;
+    // The end points stand in for the missing neighbours
+    const p0 = coeffData[Math.max(i - 1, 0)];
+    const p1 = coeffData[i];
+    const p2 = coeffData[Math.min(i + 1, last)];
+    const p3 = coeffData[Math.min(i + 2, last)];
+    return {
+        cl: catmullRom(p0.cl, p1.cl, p2.cl, p3.cl, t),
+        cd: catmullRom(p0.cd, p1.cd, p2.cd, p3.cd, t)
+    };
+}
+
+/**
+ * Best glide, minimum sink and maximum speed of a polar
+ * @param {Object[]} coeffData - { cl, cd } points in polar order
+ * @param {number} rho - Air density (kg/m³)
+ * @param {number} s - Wing area (m²)
+ * @param {number} m - Mass (kg)
+ * @param {Object} wind - { headwind, updraft } in m/s (positive against the flight and upward)
+ * @returns {Object} Keyed as PERFORMANCE_METRICS, each { vxs, vys, groundVxs, groundVys (m/s), cl, cd,
+ *   glideRatio (over the ground) } or null when no point of the polar applies
+ */
+export function computePerformance(coeffData, rho, s, m, wind = NO_WIND) {
+    const points = coeffData.filter(point => isFinite(point.cl) && isFinite(point.cd));
+    const stateAt = u => {
+        const { cl, cd } = interpolateCoeff(points, u);
+        const { vxs, vys } = coeffToSS(cl, cd, s, m, rho);
+        const groundVxs = vxs - wind.headwind;
+        const groundVys = vys - wind.updraft;
+        return { vxs, vys, groundVxs, groundVys, cl, cd, glideRatio: groundVxs / groundVys };
+    };
+    
+    // Sample the whole spline once, shared by every metric
+    const samples = [];
+    if (points.length > 0) {
+        const count = (points.length - 1) * SAMPLES_PER_SEGMENT;
+        for (let k = 0; k <= count; k++) {
+            const u = k / SAMPLES_PER_SEGMENT;
+            samples.push({ u, state: stateAt(u) });
+        }
+    }
+    
+    const metrics = {};
+    for (const [key, { applies, score }] of Object.entries(PERFORMANCE_METRICS)) {
+        const value = u => {
+            const state = stateAt(u);
+            return applies(state) ? score(state) : -Infinity;
+        };
+        
+        let best = null;
+        for (const sample of samples) {
+            if (applies(sample.state) && (!best || score(sample.state) > score(best.state))) {
+                best = sample;
+            }
+        }
+        if (!best) {
+            metrics[key] = null;
+            continue;
+        }
+        
+        // Golden-section search between the neighbouring samples
+        const step = 1 / SAMPLES_PER_SEGMENT;
+        let low = Math.max(best.u - step, 0);
+        let high = Math.min(best.u + step, points.length - 1);
+        for (let iteration = 0; iteration < REFINE_ITERATIONS && high - low > 1e-9; iteration++) {
+            const a = high - GOLDEN_RATIO * (high - low);
+            const b = low + GOLDEN_RATIO * (high - low);
+            if (value(a) >= value(b)) {
+                high = b;
+            } else {
+                low = a;
+            }
+        }
+        const refined = stateAt((low + high) / 2);
+        metrics[key] = applies(refined) && score(refined) >= score(best.state) ? refined : best.state;
+    }
+    return metrics;
+}
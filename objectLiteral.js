@@ -0,0 +1,196 @@
+/**
+ * Object Literal Parser Module
+ *
+ * Parses JavaScript object literals (as found in polar .txt/.js files) without eval.
+ * Accepts everything JSON does plus unquoted keys, single quotes, comments,
+ * trailing commas and a leading `const name =` / `export const name =` / `export default`
+ * assignment. Statements after the object (e.g. `export default polar;`) are ignored.
+ */
+
+// Assignment that may come before the object
+const LEADING_ASSIGNMENT = /^(export\s+default\s+|module\.exports\s*=\s*|(export\s+)?(const|let|var)\s+[\w$]+\s*=\s*)/;
+
+// Bare identifiers that have a literal value
+const LITERAL_IDENTIFIERS = {
+    true: true,
+    false: false,
+    null: null,
+    undefined: undefined,
+    NaN: NaN,
+    Infinity: Infinity
+};
+
+/**
+ * Parse the object literal in a polar file
+ * Files may hold a full object (`const polar = { ... };`) or just its properties (`stallpoint: [...],`)
+ * @param {string} text - File content
+ * @returns {Object} The parsed object
+ */
+export function parseObjectLiteral(text) {
+    // Skip header comments and a leading assignment so the literal itself comes first
+    const header = new LiteralParser(text);
+    header.skipWhitespace();
+    const assignment = text.slice(header.pos).match(LEADING_ASSIGNMENT);
+    const body = text.slice(header.pos + (assignment ? assignment[0].length : 0)).trim();
+    
+    // A full object: only the first literal matters, whatever statements follow it
+    if (body.startsWith('{')) {
+        return new LiteralParser(body).parseValue();
+    }
+    
+    // Bare properties make up the whole file
+    const source = `{${body.replace(/;\s*$/, '')}}`;
+    const parser = new LiteralParser(source);
+    const value = parser.parseValue();
+    parser.skipWhitespace();
+    
+    if (parser.pos < source.length) {
+        throw parser.error('Unexpected content after object');
+    }
+    
+    return value;
+}
+
+/**
+ * Recursive descent parser over a single source string
+ */
+class LiteralParser {
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+    }
+    
+    error(message) {
+        return new Error(`${message} at position ${this.pos}`);
+    }
+    
+    /**
+     * Skip whitespace and comments
+     */
+    skipWhitespace() {
+        while (this.pos < this.source.length) {
+            const rest = this.source.slice(this.pos, this.pos + 2);
+            if (/\s/.test(this.source[this.pos])) {
+                this.pos++;
+            } else if (rest === '//') {
+                const end = this.source.indexOf('\n', this.pos);
+                this.pos = end < 0 ? this.source.length : end + 1;
+            } else if (rest === '/*') {
+                const end = this.source.indexOf('*/', this.pos + 2);
+                if (end < 0) throw this.error('Unterminated comment');
+                this.pos = end + 2;
+            } else {
+                break;
+            }
+        }
+    }
+    
+    parseValue() {
+        this.skipWhitespace();
+        const char = this.source[this.pos];
+        
+        if (char === '{') return this.parseObject();
+        if (char === '[') return this.parseArray();
+        if (char === '"' || char === "'" || char === '`') return this.parseString();
+        if (/[-+.\d]/.test(char)) return this.parseNumber();
+        
+        const identifier = this.parseIdentifier();
+        if (Object.hasOwn(LITERAL_IDENTIFIERS, identifier)) {
+            return LITERAL_IDENTIFIERS[identifier];
+        }
+        throw this.error(`Unsupported value "${identifier}"`);
+    }
+    
+    parseObject() {
+        const result = {};
+        this.pos++; // {
+        
+        for (;;) {
+            this.skipWhitespace();
+            if (this.source[this.pos] === '}') {
+                this.pos++;
+                return result;
+            }
+            
+            // Key: quoted string, number or identifier
+            const char = this.source[this.pos];
+            let key;
+            if (char === '"' || char === "'" || char === '`') {
+                key = this.parseString();
+            } else if (/\d/.test(char)) {
+                key = String(this.parseNumber());
+            } else {
+                key = this.parseIdentifier();
+            }
+            
+            this.skipWhitespace();
+            if (this.source[this.pos] !== ':') throw this.error(`Expected ":" after "${key}"`);
+            this.pos++;
+            
+            // Defined rather than assigned, so a "__proto__" key is data, not the object's prototype
+            Object.defineProperty(result, key, { value: this.parseValue(), enumerable: true, writable: true, configurable: true });
+            
+            this.skipWhitespace();
+            if (this.source[this.pos] === ',') {
+                this.pos++;
+            } else if (this.source[this.pos] !== '}') {
+                throw this.error('Expected "," or "}"');
+            }
+        }
+    }
+    
+    parseArray() {
+        const result = [];
+        this.pos++; // [
+        
+        for (;;) {
+            this.skipWhitespace();
+            if (this.source[this.pos] === ']') {
+                this.pos++;
+                return result;
+            }
+            
+            result.push(this.parseValue());
+            
+            this.skipWhitespace();
+            if (this.source[this.pos] === ',') {
+                this.pos++;
+            } else if (this.source[this.pos] !== ']') {
+                throw this.error('Expected "," or "]"');
+            }
+        }
+    }
+    
+    parseString() {
+        const quote = this.source[this.pos];
+        let result = '';
+        this.pos++;
+        
+        while (this.pos < this.source.length) {
+            const char = this.source[this.pos++];
+            if (char === quote) return result;
+            if (char === '\\') {
+                const escaped = this.source[this.pos++];
+                result += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+            } else {
+                result += char;
+            }
+        }
+        
+        throw this.error('Unterminated string');
+    }
+    
+    parseNumber() {
+        const match = this.source.slice(this.pos).match(/^[-+]?(0x[\da-f]+|(\d+\.?\d*|\.\d+)(e[-+]?\d+)?|Infinity)/i);
+        if (!match) throw this.error('Invalid number');
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+    
+    parseIdentifier() {
+        const match = this.source.slice(this.pos).match(/^[A-Za-z_$][\w$]*/);
+        if (!match) throw this.error(`Unexpected character "${this.source[this.pos]}"`);
+        this.pos += match[0].length;
+        return match[0];
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Parametric Polar Module
+ *
+ * Builds a polar from a few wing parameters, for "what-if" comparisons without a data file.
+ * Below the stall, lift rises linearly with angle of attack up to CLmax and drag follows the
+ * parabolic polar CD = CD0 + k·CL². Past the stall the flow separates until the wing acts as
+ * a flat plate; the stall softness is the angle over which most of that happens.
+ */
+
+import { sampleRange } from './gridSettings.js';
+
+// Attached-flow lift slope (per degree, close to thin-airfoil theory's 2π per radian)
+const LIFT_SLOPE = 0.1;
+// Normal force coefficient of a flat plate at 90°
+const FLAT_PLATE_NORMAL = 1.2;
+// Angles of attack the polar is generated over (degrees)
+const AOA_RANGE = { from: 0, to: 90, step: 0.5 };
+
+// Slider fields in the order the builder lists them
+export const PARAMETRIC_POLAR_FIELDS = {
+    cd0: { label: 'CD0', min: 0.01, max: 1, step: 0.005, value: 0.1 },
+    k: { label: 'Induced drag k', min: 0, max: 2, step: 0.01, value: 0.4 },
+    clMax: { label: 'CLmax', min: 0.2, max: 2.5, step: 0.05, value: 1 },
+    stallSoftness: { label: 'Stall softness (°)', min: 0.5, max: 8, step: 0.5, value: 2 }
+};
+
+/**
+ * Default parameters
+ * @returns {Object} Keyed as PARAMETRIC_POLAR_FIELDS
+ */
+export function createPolarParams() {
+    return Object.fromEntries(Object.entries(PARAMETRIC_POLAR_FIELDS).map(([key, field]) => [key, field.value]));
+}
+
+/**
+ * Check a parameter update, dropping values that are not numbers and clamping the rest
+ * @param {Object} params - Partial parameters keyed as PARAMETRIC_POLAR_FIELDS
+ * @returns {Object} The valid fields
+ */
+export function validatePolarParams(params) {
+    const valid = {};
+    for (const [key, { min, max }] of Object.entries(PARAMETRIC_POLAR_FIELDS)) {
+        const value = params[key];
+        if (typeof value === 'number' && isFinite(value)) {
+            valid[key] = Math.min(Math.max(value, min), max);
+        }
+    }
+    return valid;
+}
+
+/**
+ * Coefficient data for a parametric polar
+ * @param {Object} params - { cd0, k, clMax, stallSoftness }
+ * @returns {Object[]} { cl, cd, aoa } from 0° to 90° angle of attack
+ */
+export function generateParametricPolar({ cd0, k, clMax, stallSoftness }) {
+    const stallAoa = clMax / LIFT_SLOPE;
+    
+    return sampleRange(AOA_RANGE.from, AOA_RANGE.to, AOA_RANGE.step).map(aoa => {
+        const alpha = aoa * Math.PI / 180;
+        
+        // Attached flow, holding CLmax past the stall
+        const attachedCl = LIFT_SLOPE * Math.min(aoa, stallAoa);
+        const attachedCd = cd0 + k * attachedCl * attachedCl;
+        
+        // Separated flow: a flat plate's normal force, resolved into lift and drag
+        const normal = FLAT_PLATE_NORMAL * Math.sin(alpha);
+        const separatedCl = normal * Math.cos(alpha);
+        const separatedCd = cd0 + normal * Math.sin(alpha);
+        
+        // Share of separated flow, growing from the stall angle
+        const separated = aoa > stallAoa ? 1 - Math.exp(-(aoa - stallAoa) / stallSoftness) : 0;
+        
+        return {
+            cl: attachedCl + (separatedCl - attachedCl) * separated,
+            cd: attachedCd + (separatedCd - attachedCd) * separated,
+            aoa
+        };
+    });
+}
@@ -0,0 +1,293 @@
+/**
+ * Polar Models Module
+ *
+ * Fits smooth models to a dataset's CL/CD points: a parabolic drag polar, polynomials
+ * in angle of attack, or a smoothing spline. Each fit reports its coefficients and
+ * goodness of fit, and is sampled densely in coefficient space for drawing.
+ */
+
+import { sampleRange } from './gridSettings.js';
+import { interpolateCoeff } from './metrics.js';
+
+// Points sampled along a fitted model
+const FIT_SAMPLES = 200;
+
+// Models in the order the fit controls list them
+// option: the model's one tuning value, with its default and limits
+export const POLAR_MODELS = {
+    parabolic: {
+        label: 'Parabolic',
+        description: 'CD = CD0 + k·(CL − CL0)²',
+        option: null
+    },
+    aoaPolynomial: {
+        label: 'AOA polynomial',
+        description: 'CL and CD as polynomials in AOA (degrees); CL[n] and CD[n] multiply α^n',
+        option: { name: 'degree', label: 'Degree', value: 3, min: 1, max: 6, step: 1 }
+    },
+    spline: {
+        label: 'Smoothing spline',
+        description: 'Spline through the points after smoothing with weight λ (0 passes through every point)',
+        option: { name: 'smoothing', label: 'λ', value: 10, min: 0, max: 10000, step: 1 }
+    }
+};
+
+/**
+ * Solve a square linear system by Gaussian elimination with partial pivoting
+ * @param {number[][]} matrix - Coefficients (modified)
+ * @param {number[]} rhs - Right-hand side (modified)
+ * @returns {number[]} Solution
+ */
+function solveLinear(matrix, rhs) {
+    const n = rhs.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-12) {
+            throw new Error('Not enough distinct points for this model');
+        }
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+        
+        for (let row = col + 1; row < n; row++) {
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k < n; k++) {
+                matrix[row][k] -= factor * matrix[col][k];
+            }
+            rhs[row] -= factor * rhs[col];
+        }
+    }
+    
+    const solution = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = rhs[row];
+        for (let k = row + 1; k < n; k++) {
+            sum -= matrix[row][k] * solution[k];
+        }
+        solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Least-squares polynomial
+ * x is scaled to ±1 while solving so high powers stay well conditioned
+ * @param {number[]} xs - Sample positions
+ * @param {number[]} ys - Sample values
+ * @param {number} degree - Polynomial degree
+ * @returns {number[]} Coefficients of x^0 .. x^degree
+ */
+function polyFit(xs, ys, degree) {
+    if (xs.length <= degree) {
+        throw new Error(`A degree ${degree} fit needs at least ${degree + 1} points`);
+    }
+    const scale = Math.max(...xs.map(Math.abs)) || 1;
+    const size = degree + 1;
+    const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+    const rhs = new Array(size).fill(0);
+    
+    xs.forEach((x, i) => {
+        const powers = [1];
+        for (let k = 1; k < size; k++) powers.push(powers[k - 1] * x / scale);
+        for (let r = 0; r < size; r++) {
+            rhs[r] += powers[r] * ys[i];
+            for (let c = 0; c < size; c++) {
+                normal[r][c] += powers[r] * powers[c];
+            }
+        }
+    });
+    
+    return solveLinear(normal, rhs).map((coefficient, k) => coefficient / Math.pow(scale, k));
+}
+
+/**
+ * Evaluate a polynomial
+ * @param {number[]} coefficients - Coefficients of x^0 .. x^n
+ * @param {number} x
+ */
+function polyValue(coefficients, x) {
+    return coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+}
+
+/**
+ * Whittaker smoother: values z minimizing Σ(y − z)² + λ·Σ(second difference of z)²
+ * Solves the pentadiagonal system (I + λ·DᵀD) z = y
+ * @param {number[]} values - Evenly spaced samples
+ * @param {number} lambda - Smoothing weight (0 returns the values unchanged)
+ * @returns {number[]}
+ */
+function smooth(values, lambda) {
+    const n = values.length;
+    if (n < 3 || !(lambda > 0)) return [...values];
+    
+    // band[i][2 + offset] holds entry (i, i + offset) for offsets -2..2
+    const band = Array.from({ length: n }, () => [0, 0, 1, 0, 0]);
+    const difference = [1, -2, 1];
+    for (let i = 0; i < n - 2; i++) {
+        for (let a = 0; a < 3; a++) {
+            for (let b = 0; b < 3; b++) {
+                band[i + a][2 + b - a] += lambda * difference[a] * difference[b];
+            }
+        }
+    }
+    
+    // The matrix is symmetric positive definite, so elimination needs no pivoting and stays in the band
+    const rhs = [...values];
+    for (let i = 0; i < n; i++) {
+        for (let row = i + 1; row <= Math.min(i + 2, n - 1); row++) {
+            const factor = band[row][2 + i - row] / band[i][2];
+            for (let col = i; col <= Math.min(i + 2, n - 1); col++) {
+                band[row][2 + col - row] -= factor * band[i][2 + col - i];
+            }
+            rhs[row] -= factor * rhs[i];
+        }
+    }
+    
+    const smoothed = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = rhs[i];
+        for (let col = i + 1; col <= Math.min(i + 2, n - 1); col++) {
+            sum -= band[i][2 + col - i] * smoothed[col];
+        }
+        smoothed[i] = sum / band[i][2];
+    }
+    return smoothed;
+}
+
+/**
+ * Goodness of fit over the fitted quantities
+ * @param {number[][]} observed - Measured values per point (one entry per fitted quantity)
+ * @param {number[][]} predicted - Model values per point
+ * @returns {Object} { rmse, r2 }
+ */
+function fitQuality(observed, predicted) {
+    const dims = observed[0].length;
+    const mean = new Array(dims).fill(0);
+    observed.forEach(values => values.forEach((value, d) => { mean[d] += value / observed.length; }));
+    
+    let residual = 0;
+    let total = 0;
+    observed.forEach((values, i) => {
+        values.forEach((value, d) => {
+            residual += (value - predicted[i][d]) ** 2;
+            total += (value - mean[d]) ** 2;
+        });
+    });
+    return {
+        rmse: Math.sqrt(residual / observed.length),
+        r2: total > 0 ? 1 - residual / total : 1
+    };
+}
+
+/**
+ * CD = CD0 + k·(CL − CL0)², from a least-squares quadratic of CD in CL
+ */
+function fitParabolic(points) {
+    const cls = points.map(point => point.cl);
+    const [c0, c1, c2] = polyFit(cls, points.map(point => point.cd), 2);
+    if (!(c2 > 0)) {
+        throw new Error('Drag does not rise away from a minimum in this data, so no parabolic polar fits');
+    }
+    const cl0 = -c1 / (2 * c2);
+    const cd0 = c0 - c2 * cl0 * cl0;
+    const dragAt = cl => cd0 + c2 * (cl - cl0) ** 2;
+    const low = Math.min(...cls);
+    const high = Math.max(...cls);
+    
+    return {
+        coefficients: [
+            { name: 'CD0', value: cd0 },
+            { name: 'k', value: c2 },
+            { name: 'CL0', value: cl0 }
+        ],
+        // Residuals are in CD only: CL is the independent variable
+        goodness: fitQuality(points.map(point => [point.cd]), cls.map(cl => [dragAt(cl)])),
+        coeffData: sampleRange(low, high, (high - low) / FIT_SAMPLES || 1).map(cl => ({ cl, cd: dragAt(cl) }))
+    };
+}
+
+/**
+ * CL(α) and CD(α) as least-squares polynomials
+ */
+function fitAoaPolynomial(points, { degree }) {
+    if (points.some(point => point.aoa === undefined)) {
+        throw new Error('An AOA polynomial needs an angle of attack on every point');
+    }
+    const aoas = points.map(point => point.aoa);
+    const liftTerms = polyFit(aoas, points.map(point => point.cl), degree);
+    const dragTerms = polyFit(aoas, points.map(point => point.cd), degree);
+    const stateAt = aoa => ({ cl: polyValue(liftTerms, aoa), cd: polyValue(dragTerms, aoa) });
+    const low = Math.min(...aoas);
+    const high = Math.max(...aoas);
+    
+    return {
+        coefficients: [
+            ...liftTerms.map((value, n) => ({ name: `CL[${n}]`, value })),
+            ...dragTerms.map((value, n) => ({ name: `CD[${n}]`, value }))
+        ],
+        goodness: fitQuality(
+            points.map(point => [point.cl, point.cd]),
+            aoas.map(stateAt).map(state => [state.cl, state.cd])),
+        coeffData: sampleRange(low, high, (high - low) / FIT_SAMPLES || 1).map(stateAt)
+    };
+}
+
+/**
+ * Smoothed points joined by a Catmull-Rom spline, in the polar's point order
+ */
+function fitSpline(points, { smoothing }) {
+    const cls = smooth(points.map(point => point.cl), smoothing);
+    const cds = smooth(points.map(point => point.cd), smoothing);
+    const smoothed = cls.map((cl, i) => ({ cl, cd: cds[i] }));
+    const last = smoothed.length - 1;
+    
+    return {
+        coefficients: [
+            { name: 'λ', value: smoothing },
+            { name: 'points', value: smoothed.length }
+        ],
+        goodness: fitQuality(
+            points.map(point => [point.cl, point.cd]),
+            smoothed.map(point => [point.cl, point.cd])),
+        coeffData: sampleRange(0, last, last / Math.max(FIT_SAMPLES, smoothed.length) || 1)
+            .map(u => interpolateCoeff(smoothed, u))
+    };
+}
+
+const FITTERS = {
+    parabolic: fitParabolic,
+    aoaPolynomial: fitAoaPolynomial,
+    spline: fitSpline
+};
+
+/**
+ * Fit a model to coefficient data
+ * @param {Object[]} coeffData - { cl, cd, aoa? } points in polar order
+ * @param {string} model - Key of POLAR_MODELS
+ * @param {Object} options - The model's option value, e.g. { degree: 3 }; defaults if missing
+ * @returns {Object} { model, options, coefficients: [{ name, value }], goodness: { rmse, r2 },
+ *   coeffData: dense { cl, cd } samples along the model }
+ */
+export function fitPolar(coeffData, model, options = {}) {
+    const definition = POLAR_MODELS[model];
+    if (!definition) {
+        throw new Error(`Unknown polar model: ${model}`);
+    }
+    const points = coeffData.filter(point => isFinite(point.cl) && isFinite(point.cd));
+    if (points.length < 3) {
+        throw new Error('Fitting needs at least 3 points');
+    }
+    
+    // Fill in the option default and keep it inside its limits
+    const fitOptions = {};
+    if (definition.option) {
+        const { name, value, min, max, step } = definition.option;
+        let requested = Number(options[name]);
+        if (Number.isInteger(step)) requested = Math.round(requested);
+        fitOptions[name] = isFinite(requested) ? Math.min(Math.max(requested, min), max) : value;
+    }
+    
+    return { model, options: fitOptions, ...FITTERS[model](points, fitOptions) };
+}
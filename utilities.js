@@ -3,6 +3,16 @@ export const GRAVITY = 9.8; // m/s²
 const MPS_TO_MPH = 2.23694;
 const MPH_TO_MPS = 1 / MPS_TO_MPH;
 
+// Display units for sustained speeds
+// perMps: units per m/s, range: axis half-width, major: outer grid spacing,
+// innerRange/innerStep: inner grid lines near the origin, sample: point spacing along lines
+export const SPEED_UNITS = {
+    mph: { label: 'mph', name: 'Miles per hour', perMps: MPS_TO_MPH, range: 150, major: 30, innerRange: 30, innerStep: 10, sample: 5 },
+    kmh: { label: 'km/h', name: 'Kilometers per hour', perMps: 3.6, range: 250, major: 50, innerRange: 50, innerStep: 10, sample: 5 },
+    mps: { label: 'm/s', name: 'Meters per second', perMps: 1, range: 70, major: 10, innerRange: 15, innerStep: 5, sample: 2 },
+    knots: { label: 'kt', name: 'Knots', perMps: 1.94384, range: 125, major: 25, innerRange: 25, innerStep: 5, sample: 5 }
+};
+
 /**
  * Calculate k factor for coefficient conversions
  * k = 0.5 * ρ * S / m
@@ -64,6 +74,88 @@ export function ssToCoeff(vxs, vys, s, m, rho) {
     };
 }
 
+/**
+ * Solve the equations of motion for K-coefficients at any velocity and acceleration
+ * dVx/dt = g·V·(KL·Vy - KD·Vx)
+ * dVy/dt = g - g·V·(KL·Vx + KD·Vy)
+ * @param {number} vx - Horizontal speed (m/s)
+ * @param {number} vy - Vertical speed (m/s, positive = descending)
+ * @param {number} ax - Horizontal acceleration dVx/dt (m/s²)
+ * @param {number} ay - Vertical acceleration dVy/dt (m/s², positive = downward)
+ * @returns {Object} { kl, kd } in s²/m²
+ */
+export function motionToK(vx, vy, ax, ay) {
+    const v2 = vx * vx + vy * vy;
+    const v = Math.sqrt(v2);
+    
+    // Handle zero case
+    if (v === 0) {
+        return { kl: 0, kd: 0 };
+    }
+    
+    const a = ax / (GRAVITY * v);
+    const b = (GRAVITY - ay) / (GRAVITY * v);
+    
+    return {
+        kl: (a * vy + b * vx) / v2,
+        kd: (b * vy - a * vx) / v2
+    };
+}
+
+/**
+ * Convert K-coefficients (KL, KD) to C-coefficients (CL, CD)
+ * @param {number} kl - Lift K-coefficient (s²/m²)
+ * @param {number} kd - Drag K-coefficient (s²/m²)
+ * @param {number} s - Wing area (m²)
+ * @param {number} m - Mass (kg)
+ * @param {number} rho - Air density (kg/m³)
+ * @returns {Object} { cl, cd }
+ */
+export function kToCoeff(kl, kd, s, m, rho) {
+    const k = calculateK(rho, s, m);
+    return {
+        cl: kl / k * GRAVITY,
+        cd: kd / k * GRAVITY
+    };
+}
+
+/**
+ * Convert C-coefficients (CL, CD) to K-coefficients (KL, KD)
+ * @param {number} cl - Lift coefficient
+ * @param {number} cd - Drag coefficient
+ * @param {number} s - Wing area (m²)
+ * @param {number} m - Mass (kg)
+ * @param {number} rho - Air density (kg/m³)
+ * @returns {Object} { kl, kd } in s²/m²
+ */
+export function coeffToK(cl, cd, s, m, rho) {
+    const k = calculateK(rho, s, m);
+    return {
+        kl: cl * k / GRAVITY,
+        kd: cd * k / GRAVITY
+    };
+}
+
+/**
+ * Convert m/s to a display speed unit
+ * @param {number} mps - Speed (m/s)
+ * @param {string} unit - Key of SPEED_UNITS
+ * @returns {number} Speed in the given unit
+ */
+export function mpsToUnit(mps, unit) {
+    return mps * SPEED_UNITS[unit].perMps;
+}
+
+/**
+ * Convert a display speed unit to m/s
+ * @param {number} value - Speed in the given unit
+ * @param {string} unit - Key of SPEED_UNITS
+ * @returns {number} Speed (m/s)
+ */
+export function unitToMps(value, unit) {
+    return value / SPEED_UNITS[unit].perMps;
+}
+
 /**
  * Convert m/s to mph
  */
@@ -0,0 +1,137 @@
+/**
+ * View Registry
+ *
+ * Coordinate systems the chart can show and morph between. Each view places a state
+ * (its sustained speeds and coefficients) on the chart, inverts that placement for the
+ * hover readout, and names the line types that form its grid.
+ */
+
+import { coeffToSS, kToCoeff } from './utilities.js';
+import { AxisMapping } from './axisMapping.js';
+
+// The polar view always plots total speed against flight-path angle, whatever the axis mapping
+const POLAR_MAPPING = new AxisMapping('polarForm');
+
+/**
+ * View plotting sustained speeds through an axis mapping
+ * @param {string} label - Name shown in the view picker
+ * @param {string} title - Legend heading
+ * @param {string[]} grid - Line types drawn straight in this view
+ * @param {Function} getMapping - Maps the chart to the AxisMapping the view plots through
+ */
+function speedView(label, title, grid, getMapping) {
+    return {
+        label,
+        title,
+        space: 'speed',
+        grid,
+        getMapping,
+        
+        /**
+         * Chart position of a state
+         * @returns {Object} { x, y } before the view transform
+         */
+        position(chart, speedPoint) {
+            const mapping = getMapping(chart);
+            return { x: chart.calcSpeedX(speedPoint, mapping), y: chart.calcSpeedY(speedPoint, mapping) };
+        },
+        
+        /**
+         * Sustained speeds at a chart position
+         * @returns {Object} { vxs, vys } in air-relative m/s
+         */
+        invert(chart, x, y) {
+            const cx = chart.width / 2;
+            const cy = chart.height / 2;
+            return chart.fromDisplaySpeed(getMapping(chart).invertSpeed(x, y, cx, cy, cx, cy, chart.getSpeedRange()));
+        },
+        
+        /**
+         * Components for the exponent morph (n = 0), or null when an axis is polar-form
+         * @returns {Object|null} { exponent, matrix, components(speedPoint, coeffPoint, params) }
+         */
+        exponentFrame(chart) {
+            const matrix = getMapping(chart).getComponentMatrix('speedChart');
+            if (!matrix) return null;
+            return {
+                exponent: 0,
+                matrix,
+                components: (speedPoint) => {
+                    const display = chart.toDisplaySpeed(speedPoint);
+                    const range = chart.getSpeedRange();
+                    return [display.vxs / range, display.vys / range];
+                }
+            };
+        }
+    };
+}
+
+/**
+ * View plotting C or K coefficients through the chart's axis mapping
+ * @param {string} label - Name shown in the view picker
+ * @param {string} title - Legend heading
+ * @param {string} coeffType - 'c' or 'k'
+ */
+function coeffView(label, title, coeffType) {
+    return {
+        label,
+        title,
+        space: 'coeff',
+        coeffType,
+        grid: ['coeff-horizontal', 'coeff-vertical'],
+        getMapping: chart => chart.axisMapping,
+        
+        position(chart, speedPoint, coeffPoint, params) {
+            return {
+                x: chart.calcCoeffX(coeffPoint, params, coeffType),
+                y: chart.calcCoeffY(coeffPoint, params, coeffType)
+            };
+        },
+        
+        invert(chart, x, y) {
+            const cx = chart.width / 2;
+            const cy = chart.height / 2;
+            let coeff = chart.axisMapping.invertCoeff(x, y, cx, cy, cx, cy, chart.getCoeffRange(coeffType));
+            if (coeffType === 'k') {
+                coeff = kToCoeff(coeff.cl, coeff.cd, chart.s, chart.m, chart.rho);
+            }
+            return coeffToSS(coeff.cl, coeff.cd, chart.s, chart.m, chart.rho);
+        },
+        
+        // Components for the exponent morph (n = 3)
+        exponentFrame(chart) {
+            const matrix = chart.axisMapping.getComponentMatrix('coeffChart');
+            if (!matrix) return null;
+            return {
+                exponent: 3,
+                matrix,
+                components: (speedPoint, coeffPoint, params) => {
+                    const coeff = chart.getCoeffValues(coeffPoint, params, coeffType);
+                    const range = chart.getCoeffRange(coeffType);
+                    return [coeff.cl / range, coeff.cd / range];
+                }
+            };
+        }
+    };
+}
+
+// Views in the order the picker lists them
+export const VIEWS = {
+    speed: speedView(
+        'Speed', 'SPEED VIEW',
+        ['horizontal', 'vertical', 'horizontal-inner', 'vertical-inner'],
+        chart => chart.axisMapping
+    ),
+    coeffC: coeffView('C-Coefficients', 'C-COEFFICIENT VIEW', 'c'),
+    coeffK: coeffView('K-Coefficients', 'K-COEFFICIENT VIEW', 'k'),
+    polar: speedView('Polar (V–θ)', 'POLAR (V–θ) VIEW', ['speed-circle', 'angle-ray'], () => POLAR_MAPPING)
+};
+
+/**
+ * Key of the coefficient view plotting a coefficient type
+ * @param {string} coeffType - 'c' or 'k'
+ * @returns {string}
+ */
+export function coeffViewFor(coeffType) {
+    return Object.keys(VIEWS).find(key => VIEWS[key].space === 'coeff' && VIEWS[key].coeffType === coeffType);
+}